@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Discord Message Cleaner Bot - Command Registration
+ *
+ * Registers, lists or clears the bot's slash and right-click commands without starting the
+ * bot. Only the REST API is used, so nothing logs in to the gateway. Run with --help for
+ * the options.
+ */
+
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '.env') });
+
+const { REST, Routes } = require('discord.js');
+const { getConfigError } = require('./lib/config');
+const { EXIT_CODES } = require('./lib/cli');
+const { DEPLOY_USAGE, parseDeployArgs, runDeployCommand } = require('./lib/registration');
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseDeployArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${DEPLOY_USAGE}`);
+    return EXIT_CODES.usage;
+  }
+
+  if (parsed.help) {
+    console.log(DEPLOY_USAGE);
+    return EXIT_CODES.ok;
+  }
+
+  if (getConfigError()) {
+    console.error(getConfigError());
+    return EXIT_CODES.error;
+  }
+
+  if (!process.env.DISCORD_TOKEN) {
+    console.error('DISCORD_TOKEN is not set. Run "npm run setup" or add it to the .env file.');
+    return EXIT_CODES.error;
+  }
+
+  const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
+  try {
+    // The token belongs to the bot, which tells us the application it is part of
+    const application = await rest.get(Routes.currentApplication());
+    console.log(await runDeployCommand(rest, application.id, parsed));
+    return EXIT_CODES.ok;
+  } catch (error) {
+    console.error('Error talking to Discord:', error.message);
+    return EXIT_CODES.error;
+  }
+}
+
+main().then(exitCode => {
+  process.exitCode = exitCode;
+});
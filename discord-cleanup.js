@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Discord Message Cleaner Bot - Command Line Tool
+ *
+ * Runs one cleanup from a terminal, cron job or script: logs in with the bot's token,
+ * does the job and exits. Run with --help for the commands.
+ */
+
+const path = require('path');
+
+// Keep stdout for the command's output: everything the bot logs goes to stderr
+console.log = console.error;
+console.info = console.error;
+
+require('dotenv').config({ path: path.join(__dirname, '.env') });
+
+const { getConfigError } = require('./lib/config');
+const { client } = require('./lib/client');
+const { trackDeleteRateLimits } = require('./lib/delete');
+const { EXIT_CODES, describeUsage, parseCliArgs, runCliCommand } = require('./lib/cli');
+
+// Log in and wait until the client is ready to use
+function login() {
+  return new Promise((resolve, reject) => {
+    client.once('ready', resolve);
+    client.login(process.env.DISCORD_TOKEN).catch(reject);
+  });
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseCliArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message} Run discord-cleanup --help to see the commands and options.`);
+    return { exitCode: EXIT_CODES.usage };
+  }
+
+  if (!parsed.command) {
+    return { exitCode: EXIT_CODES.ok, text: describeUsage() };
+  }
+
+  if (getConfigError()) {
+    console.error(getConfigError());
+    return { exitCode: EXIT_CODES.error };
+  }
+
+  if (!process.env.DISCORD_TOKEN) {
+    console.error('DISCORD_TOKEN is not set. Run "npm run setup" or add it to the .env file.');
+    return { exitCode: EXIT_CODES.error };
+  }
+
+  // Pace deletions by the rate limits Discord reports, as the bot does
+  trackDeleteRateLimits(client.rest);
+
+  try {
+    await login();
+  } catch (error) {
+    console.error('Error logging in to Discord:', error.message);
+    return { exitCode: EXIT_CODES.error };
+  }
+
+  try {
+    const outcome = await runCliCommand(client, parsed);
+    if (parsed.options.json && outcome.result) {
+      return { exitCode: outcome.exitCode, text: JSON.stringify(outcome.result, null, 2) };
+    }
+    if (outcome.exitCode === EXIT_CODES.error) {
+      console.error(outcome.text);
+      return { exitCode: outcome.exitCode };
+    }
+    return outcome;
+  } finally {
+    await client.destroy();
+  }
+}
+
+main().then(({ exitCode, text }) => {
+  // Exit once the output is flushed, as timers left by discord.js would keep the process alive
+  if (!text) process.exit(exitCode);
+  process.stdout.write(text.endsWith('\n') ? text : `${text}\n`, () => process.exit(exitCode));
+}).catch(error => {
+  console.error(error.message);
+  process.exit(EXIT_CODES.error);
+});
@@ -0,0 +1,194 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Transcripts of deleted messages, saved by the archive option.
+ */
+
+const { AttachmentBuilder } = require('discord.js');
+const fs = require('fs');
+const path = require('path');
+const { config, rootDir } = require('./config');
+const { client } = require('./client');
+const { getGuildSettings } = require('./guild-settings');
+
+// Transcript formats accepted by the archive option
+const ARCHIVE_FORMATS = ['json', 'txt', 'html'];
+
+// Discord's upload limit for servers without boosts
+const MAX_UPLOAD_SIZE = 10 * 1024 * 1024;
+
+// Capture everything needed to reconstruct a message before it is deleted
+function serializeMessage(msg) {
+  return {
+    id: msg.id,
+    authorId: msg.author.id,
+    authorTag: msg.author.tag,
+    authorDisplayName: msg.member ? msg.member.displayName : (msg.author.globalName || msg.author.username),
+    authorAvatarUrl: msg.member ? msg.member.displayAvatarURL() : msg.author.displayAvatarURL(),
+    bot: msg.author.bot,
+    timestamp: new Date(msg.createdTimestamp).toISOString(),
+    editedTimestamp: msg.editedTimestamp ? new Date(msg.editedTimestamp).toISOString() : null,
+    content: msg.content,
+    attachments: [...msg.attachments.values()].map(attachment => ({
+      name: attachment.name,
+      url: attachment.url,
+      size: attachment.size,
+      contentType: attachment.contentType
+    })),
+    embeds: msg.embeds.map(embed => embed.toJSON()),
+    replyTo: msg.reference ? msg.reference.messageId : null,
+    pinned: msg.pinned
+  };
+}
+
+// Escape text for safe inclusion in the HTML transcript
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Render archived messages (oldest first) as a transcript in the given format
+function renderTranscript(format, header, messages) {
+  if (format === 'json') {
+    return JSON.stringify({ ...header, messages }, null, 2);
+  }
+  
+  if (format === 'txt') {
+    const lines = [
+      `Transcript of #${header.channel.name} (${header.channel.id}) in ${header.guild.name}`,
+      `Cleanup ${header.runId} (${header.command}) by ${header.invoker}, exported ${header.exportedAt}`,
+      `${messages.length} messages`,
+      ''
+    ];
+    for (const msg of messages) {
+      lines.push(`[${msg.timestamp}] ${msg.authorTag} (${msg.authorId})${msg.bot ? ' [BOT]' : ''}: ${msg.content}`);
+      if (msg.replyTo) lines.push(`    ↳ in reply to ${msg.replyTo}`);
+      for (const attachment of msg.attachments) lines.push(`    [attachment] ${attachment.name} ${attachment.url}`);
+      for (const embed of msg.embeds) lines.push(`    [embed] ${[embed.title, embed.description, embed.url].filter(Boolean).join(' | ')}`);
+    }
+    return `${lines.join('\n')}\n`;
+  }
+  
+  // Self-contained HTML: inline styles and no external scripts, so it opens anywhere
+  const rows = messages.map(msg => `
+    <div class="message" id="m${msg.id}">
+      <img class="avatar" src="${escapeHtml(msg.authorAvatarUrl)}" alt="">
+      <div class="body">
+        <div class="meta"><span class="author">${escapeHtml(msg.authorDisplayName)}</span>${msg.bot ? ' <span class="bot">BOT</span>' : ''} <span class="tag">${escapeHtml(msg.authorTag)} (${msg.authorId})</span> <time>${msg.timestamp}</time></div>
+        ${msg.replyTo ? `<div class="reply">↳ in reply to <a href="#m${msg.replyTo}">${msg.replyTo}</a></div>` : ''}
+        <div class="content">${escapeHtml(msg.content)}</div>
+        ${msg.attachments.map(attachment => `<div class="attachment"><a href="${escapeHtml(attachment.url)}">${escapeHtml(attachment.name)}</a></div>`).join('')}
+        ${msg.embeds.map(embed => `<div class="embed">${embed.title ? `<strong>${escapeHtml(embed.title)}</strong>` : ''}${embed.description ? `<p>${escapeHtml(embed.description)}</p>` : ''}${embed.url ? `<a href="${escapeHtml(embed.url)}">${escapeHtml(embed.url)}</a>` : ''}</div>`).join('')}
+      </div>
+    </div>`).join('');
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Transcript of #${escapeHtml(header.channel.name)}</title>
+<style>
+  body { background: #313338; color: #dbdee1; font-family: "gg sans", "Helvetica Neue", Arial, sans-serif; margin: 0; padding: 20px; }
+  header { border-bottom: 1px solid #4e5058; margin-bottom: 16px; padding-bottom: 8px; }
+  .message { display: flex; gap: 12px; padding: 6px 0; }
+  .avatar { width: 40px; height: 40px; border-radius: 50%; }
+  .author { color: #f2f3f5; font-weight: 600; }
+  .bot { background: #5865f2; border-radius: 3px; color: #fff; font-size: 10px; padding: 1px 4px; }
+  .tag, time, .reply { color: #949ba4; font-size: 12px; }
+  .content { white-space: pre-wrap; word-wrap: break-word; }
+  .attachment a, .embed a, .reply a { color: #00a8fc; }
+  .embed { border-left: 4px solid #4e5058; background: #2b2d31; margin-top: 4px; padding: 6px 10px; }
+</style>
+</head>
+<body>
+<header>
+  <h1>#${escapeHtml(header.channel.name)}</h1>
+  <div>${escapeHtml(header.guild.name)} · cleanup ${header.runId} (${escapeHtml(header.command)}) by ${escapeHtml(header.invoker)} · exported ${header.exportedAt} · ${messages.length} messages</div>
+</header>
+${rows}
+</body>
+</html>
+`;
+}
+
+// A channel name cut down to characters that are safe in a file name. Thread and forum post
+// titles can hold anything, including slashes
+function safeFileName(name) {
+  return name.replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 80);
+}
+
+// Write the transcript of a run's archived messages and deliver it to the configured
+// destinations. Returns the file name, or null if there was nothing to archive
+async function saveArchive(channel, options, stats) {
+  if (stats.archivedMessages.length === 0) return null;
+  
+  const invoker = client.users.cache.get(options.invokerId);
+  const header = {
+    runId: stats.runId,
+    command: options.command || 'cleanup',
+    invoker: invoker ? invoker.tag : options.invokerId,
+    exportedAt: new Date().toISOString(),
+    guild: { id: channel.guildId, name: channel.guild ? channel.guild.name : '' },
+    channel: { id: channel.id, name: channel.name }
+  };
+  
+  // Messages are archived newest first as they are fetched; transcripts read oldest first
+  const messages = [...stats.archivedMessages].sort((a, b) => (BigInt(a.id) < BigInt(b.id) ? -1 : 1));
+  const fileName = `transcript-${safeFileName(channel.name) || channel.id}-${stats.runId}.${options.archive}`;
+  const transcript = Buffer.from(renderTranscript(options.archive, header, messages), 'utf8');
+  
+  if (config.archiveDestinations.includes('local')) {
+    const archiveDir = path.resolve(rootDir, config.archiveDir);
+    fs.mkdirSync(archiveDir, { recursive: true });
+    fs.writeFileSync(path.join(archiveDir, fileName), transcript);
+  }
+  
+  const uploadTargets = [];
+  const modLogChannelId = getGuildSettings(channel.guildId).modLogChannel;
+  if (config.archiveDestinations.includes('modlog') && modLogChannelId) {
+    uploadTargets.push(client.channels.fetch(modLogChannelId));
+  }
+  if (config.archiveDestinations.includes('dm')) {
+    uploadTargets.push(client.users.fetch(options.invokerId));
+  }
+  
+  if (uploadTargets.length > 0 && transcript.length > MAX_UPLOAD_SIZE) {
+    console.warn(`Transcript ${fileName} is too large to upload (${transcript.length} bytes)`);
+  } else {
+    for (const target of uploadTargets) {
+      try {
+        await (await target).send({
+          content: `Transcript of ${messages.length} messages deleted from <#${channel.id}> by cleanup \`${stats.runId}\``,
+          files: [new AttachmentBuilder(transcript, { name: fileName })]
+        });
+      } catch (error) {
+        console.error('Error uploading transcript:', error);
+      }
+    }
+  }
+  
+  return fileName;
+}
+
+module.exports = {
+  ARCHIVE_FORMATS,
+  serializeMessage,
+  renderTranscript,
+  saveArchive
+};
@@ -0,0 +1,180 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * The audit log of cleanup runs, mod-log summaries, and /cleanlog.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const fs = require('fs');
+const path = require('path');
+const { dataDir } = require('./storage');
+const { client } = require('./client');
+const { getGuildSettings } = require('./guild-settings');
+const { describeProtected } = require('./protection');
+
+// Append-only record of every cleanup run, one JSON object per line
+const auditLogPath = path.join(dataDir, 'audit-log.jsonl');
+
+// The longest value Discord accepts for an embed field
+const MAX_FIELD_LENGTH = 1024;
+
+// Save a finished cleanup run to the audit log and post a summary to the guild's mod-log channel.
+// Never throws, so a logging problem can't hide the result of the cleanup itself
+async function recordCleanup(channel, options, stats) {
+  const invoker = client.users.cache.get(options.invokerId);
+  const entry = {
+    runId: stats.runId,
+    timestamp: new Date(stats.startedAt).toISOString(),
+    invokerId: options.invokerId,
+    invokerTag: invoker ? invoker.tag : null,
+    guildId: channel.guildId,
+    channelId: channel.id,
+    command: options.command || null,
+    source: options.source || null,
+    args: options.args || null,
+    filter: options.filter ? options.filter.criteria : null,
+    deleted: stats.deleted,
+    failed: stats.failed,
+    skipped: stats.skipped,
+    durationMs: Date.now() - stats.startedAt,
+    oldestMessageId: stats.oldestMessageId,
+    newestMessageId: stats.newestMessageId
+  };
+  if (Object.keys(stats.protected).length > 0) entry.protected = stats.protected;
+  if (stats.failed > 0) entry.failureReasons = stats.failureReasons;
+  if (stats.skipped > 0) entry.skipReasons = stats.skipReasons;
+  if (stats.targetFound !== undefined) entry.targetFound = stats.targetFound;
+  if (stats.controller.signal.aborted) entry.cancelled = true;
+  if (stats.archiveFile) entry.archive = { format: options.archive, file: stats.archiveFile };
+  if (stats.error) entry.error = stats.error;
+  
+  console.log(`Cleanup ${entry.runId}: ${entry.invokerTag || entry.invokerId} ran ${entry.command} in #${channel.name}, deleted ${entry.deleted}, failed ${entry.failed}, skipped ${entry.skipped}`);
+  
+  try {
+    fs.mkdirSync(dataDir, { recursive: true });
+    fs.appendFileSync(auditLogPath, `${JSON.stringify(entry)}\n`);
+  } catch (error) {
+    console.error('Error writing audit log:', error);
+  }
+  
+  try {
+    await postModLog(entry);
+  } catch (error) {
+    console.error('Error posting to mod-log channel:', error);
+  }
+}
+
+// Post an embed summarizing a cleanup run to the mod-log channel configured for its guild
+async function postModLog(entry) {
+  const modLogChannelId = getGuildSettings(entry.guildId).modLogChannel;
+  if (!modLogChannelId) return;
+  
+  const modLogChannel = await client.channels.fetch(modLogChannelId);
+  const formatValues = values => Object.entries(values).map(([name, value]) => `${name}: ${value}`).join('\n');
+  // Discord refuses the whole embed if a field value is over 1024 characters
+  const field = (name, value) => ({ name, value: value.length > MAX_FIELD_LENGTH ? `${value.slice(0, MAX_FIELD_LENGTH - 3)}...` : value });
+  
+  const embed = new EmbedBuilder()
+    .setTitle(`Cleanup: ${entry.command}`)
+    .setColor(entry.error || entry.failed > 0 ? 0xE67E22 : 0x2ECC71)
+    .addFields(
+      { name: 'Moderator', value: `<@${entry.invokerId}>`, inline: true },
+      { name: 'Channel', value: `<#${entry.channelId}>`, inline: true },
+      { name: 'Duration', value: `${(entry.durationMs / 1000).toFixed(1)}s`, inline: true },
+      { name: 'Deleted', value: String(entry.deleted), inline: true },
+      { name: 'Failed', value: String(entry.failed), inline: true },
+      { name: 'Skipped', value: String(entry.skipped), inline: true }
+    )
+    .setFooter({ text: `Run ${entry.runId}` })
+    .setTimestamp(new Date(entry.timestamp));
+  
+  if (Array.isArray(entry.args) ? entry.args.length > 0 : entry.args && Object.keys(entry.args).length > 0) {
+    embed.addFields(field('Arguments', Array.isArray(entry.args) ? entry.args.join(' ') : formatValues(entry.args)));
+  }
+  if (entry.filter) {
+    embed.addFields(field('Filter', formatValues(entry.filter)));
+  }
+  if (entry.protected) {
+    embed.addFields(field('Protected', describeProtected(entry.protected)));
+  }
+  if (entry.failureReasons) {
+    embed.addFields(field('Failures', formatValues(entry.failureReasons)));
+  }
+  if (entry.oldestMessageId) {
+    embed.addFields({ name: 'Message range', value: `${entry.oldestMessageId} – ${entry.newestMessageId}` });
+  }
+  if (entry.error) {
+    embed.addFields(field('Error', entry.error));
+  }
+  
+  await modLogChannel.send({ embeds: [embed] });
+}
+
+// Read every entry from the audit log, oldest first
+function readAuditLog() {
+  if (!fs.existsSync(auditLogPath)) return [];
+  
+  const entries = [];
+  for (const line of fs.readFileSync(auditLogPath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      // Skip a line left half-written by a crash
+    }
+  }
+  return entries;
+}
+
+// Handle /cleanlog: show the most recent cleanup runs in this server
+async function handleCleanLog(interaction) {
+  const limit = interaction.options.getInteger('limit') || 10;
+  const user = interaction.options.getUser('user');
+  const channel = interaction.options.getChannel('channel');
+  
+  const entries = readAuditLog()
+    .filter(entry => entry.guildId === interaction.guildId)
+    .filter(entry => !user || entry.invokerId === user.id)
+    .filter(entry => !channel || entry.channelId === channel.id)
+    .slice(-limit)
+    .reverse();
+  
+  if (entries.length === 0) {
+    return interaction.reply({ content: 'No cleanups have been logged for this server yet.', flags: [1 << 6] });
+  }
+  
+  const lines = entries.map(entry => {
+    const when = `<t:${Math.floor(Date.parse(entry.timestamp) / 1000)}:R>`;
+    const outcome = entry.error
+      ? `error: ${entry.error}`
+      : `${entry.deleted} deleted, ${entry.failed} failed, ${entry.skipped} skipped`;
+    return `\`${entry.runId}\` ${when} <@${entry.invokerId}> **${entry.command}** in <#${entry.channelId}> — ${outcome} (${(entry.durationMs / 1000).toFixed(1)}s)`;
+  });
+  
+  // Stay within Discord's 2000 character message limit
+  let content = '**Recent cleanups:**';
+  for (const line of lines) {
+    if (content.length + line.length + 1 > 2000) break;
+    content += `\n${line}`;
+  }
+  
+  return interaction.reply({ content, flags: [1 << 6] });
+}
+
+module.exports = {
+  recordCleanup,
+  handleCleanLog
+};
@@ -0,0 +1,155 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Auto-moderation: spotting spam as it is posted and cleaning it up.
+ */
+
+const { Collection, PermissionsBitField } = require('discord.js');
+const crypto = require('crypto');
+const { config } = require('./config');
+const { client } = require('./client');
+const { INVITE_PATTERN, LINK_PATTERN } = require('./options');
+const { getProtectionReason } = require('./protection');
+const { createRunStats } = require('./jobs');
+const { deleteAndTally, finishRun } = require('./cleanup');
+
+// Auto-moderation settings for a guild: the global autoMod settings with any per-guild overrides
+function getAutoModSettings(guildId) {
+  const { guilds, ...defaults } = config.autoMod;
+  return { ...defaults, ...((guilds && guilds[guildId]) || {}) };
+}
+
+// Recent messages per channel and user, for flood detection
+const recentMessagesByUser = new Map();
+
+// Recent messages per user and content, for spotting the same message posted across channels
+const recentMessagesByContent = new Map();
+
+// Forget tracked messages that are older than any detection window
+setInterval(() => {
+  const cutoff = Date.now() - 5 * 60 * 1000;
+  for (const tracker of [recentMessagesByUser, recentMessagesByContent]) {
+    for (const [key, messages] of tracker) {
+      if (messages[messages.length - 1].createdTimestamp < cutoff) tracker.delete(key);
+    }
+  }
+}, 60 * 1000).unref();
+
+// Add a message to a tracker, dropping entries older than the window, and return what's left
+function trackMessage(tracker, key, message, windowSeconds) {
+  const recent = (tracker.get(key) || []).filter(msg => message.createdTimestamp - msg.createdTimestamp < windowSeconds * 1000);
+  recent.push(message);
+  tracker.set(key, recent);
+  return recent;
+}
+
+// Check a new message against the auto-moderation rules. If it breaks one, delete the offending
+// messages, time out the author if configured, and return true
+async function checkAutoMod(message) {
+  if (!message.guild || !message.member) return false;
+  
+  const settings = getAutoModSettings(message.guildId);
+  if (!settings.enabled) return false;
+  if (settings.ignoreChannels.includes(message.channelId)) return false;
+  if (message.member.roles.cache.some(role => settings.ignoreRoles.includes(role.id))) return false;
+  if (getProtectionReason(message, ['pinned', 'reaction', 'age'])) return false; // Protected users and roles
+  
+  // Moderators are trusted
+  if (config.authorizedUsers.includes(message.author.id) ||
+      message.member.permissionsIn(message.channel).has(PermissionsBitField.Flags.ManageMessages)) {
+    return false;
+  }
+  
+  // Track every message, even one that breaks a single-message rule, so floods are still seen
+  const floodMessages = trackMessage(recentMessagesByUser, `${message.channelId}:${message.author.id}`, message, settings.floodSeconds);
+  const contentHash = crypto.createHash('sha1').update(message.content.trim().toLowerCase()).digest('hex');
+  const copies = message.content.trim()
+    ? trackMessage(recentMessagesByContent, `${message.guildId}:${message.author.id}:${contentHash}`, message, settings.duplicateSeconds)
+    : [message];
+  const copyChannels = new Set(copies.map(msg => msg.channelId));
+  
+  const mentionCount = message.mentions.users.size + message.mentions.roles.size + (message.mentions.everyone ? 1 : 0);
+  const accountAgeDays = (Date.now() - message.author.createdTimestamp) / (24 * 60 * 60 * 1000);
+  
+  let violation = null;
+  if (settings.floodMessages > 0 && floodMessages.length >= settings.floodMessages) {
+    violation = { rule: 'flood', reason: `${floodMessages.length} messages in ${settings.floodSeconds}s`, messages: floodMessages };
+  } else if (settings.duplicateChannels > 0 && copyChannels.size >= settings.duplicateChannels) {
+    violation = { rule: 'duplicate', reason: `same message in ${copyChannels.size} channels`, messages: copies };
+  } else if (settings.maxMentions > 0 && mentionCount >= settings.maxMentions) {
+    violation = { rule: 'mass-mention', reason: `${mentionCount} mentions in one message`, messages: [message] };
+  } else if (settings.blockInvites && INVITE_PATTERN.test(message.content)) {
+    violation = { rule: 'invite', reason: 'posted a Discord invite', messages: [message] };
+  } else if (settings.newAccountDays > 0 && accountAgeDays < settings.newAccountDays && LINK_PATTERN.test(message.content)) {
+    violation = { rule: 'new-account-link', reason: `account is ${Math.floor(accountAgeDays)} days old and posted a link`, messages: [message] };
+  }
+  
+  if (!violation) return false;
+  
+  // Start over for this user so the same messages don't trigger a second action
+  recentMessagesByUser.delete(`${message.channelId}:${message.author.id}`);
+  recentMessagesByContent.delete(`${message.guildId}:${message.author.id}:${contentHash}`);
+  
+  await enforceAutoMod(message, violation, settings);
+  return true;
+}
+
+// Act on an auto-moderation violation: time out the author if configured, then delete the
+// offending messages through the normal cleanup path so each channel gets an audit log entry
+async function enforceAutoMod(message, violation, settings) {
+  console.log(`Auto-mod: ${message.author.tag} in ${message.guild.name} triggered ${violation.rule} (${violation.reason})`);
+  
+  let timeout = null;
+  if (settings.timeoutMinutes > 0) {
+    try {
+      await message.member.timeout(settings.timeoutMinutes * 60 * 1000, `Auto-mod: ${violation.reason}`);
+      timeout = `${settings.timeoutMinutes}m`;
+    } catch (error) {
+      console.error('Error timing out member:', error);
+      timeout = 'failed';
+    }
+  }
+  
+  // Offending messages can span several channels (e.g. the same spam posted everywhere)
+  const byChannel = new Map();
+  for (const msg of violation.messages) {
+    if (!byChannel.has(msg.channelId)) byChannel.set(msg.channelId, { channel: msg.channel, messages: new Collection() });
+    byChannel.get(msg.channelId).messages.set(msg.id, msg);
+  }
+  
+  for (const { channel, messages } of byChannel.values()) {
+    const options = {
+      invokerId: client.user.id,
+      command: 'automod',
+      source: 'automod',
+      // Spam is by definition brand new, so the minimum age rule can't apply
+      override: ['age'],
+      args: { rule: violation.rule, reason: violation.reason, userId: message.author.id, timeout }
+    };
+    const stats = createRunStats(options);
+    try {
+      await deleteAndTally(channel, messages, stats, options);
+    } catch (error) {
+      console.error('Error deleting auto-mod messages:', error);
+      stats.error = error.message;
+    }
+    await finishRun(channel, options, stats);
+  }
+}
+
+module.exports = {
+  checkAutoMod
+};
@@ -0,0 +1,197 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Cleaning several channels, categories and threads at once, and /purgeuser.
+ */
+
+const { ChannelType, PermissionsBitField } = require('discord.js');
+const { checkAuthorization } = require('./permissions');
+const { buildMessageFilter } = require('./options');
+const { cleanRange } = require('./cleanup');
+
+// Whether the bot can read and delete messages in a channel or thread
+function canCleanChannel(channel) {
+  const permissions = channel.permissionsFor(channel.guild.members.me);
+  return Boolean(permissions) && permissions.has([
+    PermissionsBitField.Flags.ViewChannel,
+    PermissionsBitField.Flags.ReadMessageHistory,
+    PermissionsBitField.Flags.ManageMessages
+  ]);
+}
+
+// Channels whose messages live in threads (forum and media posts) rather than in the channel
+function isThreadOnlyChannel(channel) {
+  return channel.type === ChannelType.GuildForum || channel.type === ChannelType.GuildMedia;
+}
+
+// Parse the channels option (channel mentions or IDs, separated by spaces or commas) into
+// channels of the guild. Categories expand to the channels inside them. Throws an Error with
+// a user-facing message for anything that isn't a channel of this server
+function parseChannelList(guild, text) {
+  const ids = text.split(/[\s,]+/).filter(Boolean).map(entry => entry.replace(/^<#(\d+)>$/, '$1'));
+  const channels = new Map();
+  for (const id of ids) {
+    const channel = /^\d+$/.test(id) ? guild.channels.cache.get(id) : null;
+    if (!channel) throw new Error(`\`${id}\` is not a channel in this server. Use channel mentions or IDs.`);
+    
+    if (channel.type === ChannelType.GuildCategory) {
+      for (const child of guild.channels.cache.filter(other => other.parentId === channel.id).values()) {
+        if (child.isTextBased() || isThreadOnlyChannel(child)) channels.set(child.id, child);
+      }
+    } else if (channel.isTextBased() || isThreadOnlyChannel(channel)) {
+      channels.set(channel.id, channel);
+    } else {
+      throw new Error(`<#${channel.id}> has no messages to clean.`);
+    }
+  }
+  return [...channels.values()];
+}
+
+// Fetch every thread of a channel: the active ones and, page by page, the archived ones.
+// Private archived threads are only listed when the bot can manage threads
+async function fetchAllThreads(channel) {
+  const threads = new Map();
+  const active = await channel.threads.fetchActive();
+  for (const thread of active.threads.values()) threads.set(thread.id, thread);
+  
+  const canSeePrivate = channel.permissionsFor(channel.guild.members.me).has(PermissionsBitField.Flags.ManageThreads);
+  for (const type of canSeePrivate && channel.type === ChannelType.GuildText ? ['public', 'private'] : ['public']) {
+    let before;
+    while (true) {
+      const archived = await channel.threads.fetchArchived({ type, before, limit: 100 });
+      for (const thread of archived.threads.values()) threads.set(thread.id, thread);
+      if (!archived.hasMore || archived.threads.size === 0) break;
+      before = archived.threads.last();
+    }
+  }
+  return [...threads.values()];
+}
+
+// Work out the channels a multi-channel cleanup covers: the listed channels, with their threads if
+// asked for. Forum channels always stand for their posts. Channels the member may not clean, or
+// the bot can't, are returned separately with the reason. `amount` is how many messages each
+// channel loses, for commands that take one: a rule's maxAmount limits the whole cleanup
+async function resolveCleanupTargets(member, command, channels, { includeThreads, limit, amount = null }) {
+  const targets = new Map();
+  const skipped = [];
+  
+  for (const channel of channels) {
+    if (!isThreadOnlyChannel(channel)) targets.set(channel.id, channel);
+    if ((includeThreads || isThreadOnlyChannel(channel)) && channel.threads) {
+      try {
+        for (const thread of await fetchAllThreads(channel)) targets.set(thread.id, thread);
+      } catch (error) {
+        console.error(`Error fetching threads of #${channel.name}:`, error);
+        skipped.push({ channel, reason: 'could not list its threads' });
+      }
+    }
+  }
+  
+  const allowed = [];
+  let maxAmount = null;
+  for (const channel of targets.values()) {
+    const auth = checkAuthorization(member, channel, command);
+    if (!auth.allowed) {
+      skipped.push({ channel, reason: 'you are not allowed to clean it' });
+    } else if (!canCleanChannel(channel)) {
+      skipped.push({ channel, reason: 'I need View Channel, Read Message History and Manage Messages there' });
+    } else {
+      allowed.push(channel);
+      if (auth.maxAmount !== null) maxAmount = Math.min(maxAmount ?? Infinity, auth.maxAmount);
+    }
+  }
+  
+  if (allowed.length > limit) {
+    throw new Error(`That covers ${allowed.length} channels and threads; at most ${limit} can be cleaned at once.`);
+  }
+  if (amount !== null && maxAmount !== null && amount * allowed.length > maxAmount) {
+    throw new Error(`You can delete at most ${maxAmount} messages at a time, and ${amount} in each of ${allowed.length} channels would be ${amount * allowed.length}.`);
+  }
+  return { channels: allowed, skipped };
+}
+
+// Run a cleanup in each of several channels, one after another, then reply with the result for
+// each. runOne(channel, responseCallback, options) runs the cleanup in one channel and returns its
+// stats. Cancelling any run stops the ones that haven't started yet
+async function cleanChannels(member, channels, targetOptions, runOne, responseCallback, options) {
+  let targets;
+  try {
+    targets = await resolveCleanupTargets(member, options.command, channels, targetOptions);
+  } catch (error) {
+    return responseCallback(error.message);
+  }
+  if (targets.channels.length === 0) {
+    const reasons = targets.skipped.map(({ channel, reason }) => `- <#${channel.id}>: ${reason}`);
+    return responseCallback(`There are no channels I can clean for you.${reasons.length > 0 ? `\n${reasons.slice(0, 20).join('\n')}` : ''}`);
+  }
+  
+  const batchController = new AbortController();
+  const lines = [];
+  let deleted = 0;
+  
+  for (const [index, channel] of targets.channels.entries()) {
+    if (batchController.signal.aborted) {
+      lines.push(`- <#${channel.id}>: not started, the cleanup was cancelled`);
+      continue;
+    }
+    
+    let result = null;
+    const stats = await runOne(channel, async (response) => {
+      result = response;
+    }, { ...options, batchController, progressLabel: `<#${channel.id}> (${index + 1} of ${targets.channels.length})` });
+    
+    if (stats) deleted += stats.deleted;
+    lines.push(`- <#${channel.id}>: ${result}`);
+  }
+  for (const { channel, reason } of targets.skipped) {
+    lines.push(`- <#${channel.id}>: skipped, ${reason}`);
+  }
+  
+  // Keep the report within Discord's message limit
+  const header = `${batchController.signal.aborted ? 'Cleanup cancelled.' : 'Cleanup finished.'} Deleted ${deleted} messages across ${targets.channels.length} channels:`;
+  let report = header;
+  for (const [index, line] of lines.entries()) {
+    const remaining = `\n- ...and ${lines.length - index} more channels (see /cleanlog)`;
+    if (report.length + line.length + 1 + remaining.length > 2000) {
+      report += remaining;
+      break;
+    }
+    report += `\n${line}`;
+  }
+  await responseCallback(report);
+}
+
+// Delete one user's messages within a range from every channel in the server the bot can see,
+// and their threads if asked for
+async function purgeUser(member, userId, range, includeThreads, responseCallback, options) {
+  const me = member.guild.members.me;
+  const channels = [...member.guild.channels.cache.filter(channel =>
+    !channel.isThread() &&
+    (channel.isTextBased() || (includeThreads && isThreadOnlyChannel(channel))) &&
+    channel.permissionsFor(me).has(PermissionsBitField.Flags.ViewChannel)
+  ).values()];
+  
+  // Every channel is listed, so the per-cleanup channel limit doesn't apply here
+  await cleanChannels(member, channels, { includeThreads, limit: Infinity }, (channel, callback, runOptions) =>
+    cleanRange(channel, range, callback, runOptions), responseCallback, { ...options, filter: buildMessageFilter({ user: userId }) });
+}
+
+module.exports = {
+  canCleanChannel,
+  parseChannelList,
+  cleanChannels,
+  purgeUser
+};
@@ -0,0 +1,124 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Checkpoints of running cleanups, saved to disk after every page of messages so a cleanup
+ * that a crash or restart cuts short can carry on where it stopped.
+ */
+
+const { readDataFile, writeDataFile } = require('./storage');
+
+// Cleanups that are resumed after a restart: the ones someone started from Discord and
+// who can be told. Schedules and retention run again by themselves, and the command line
+// tool has nobody to resume for
+const RESUMABLE_SOURCES = ['slash', 'prefix', 'context-menu'];
+
+// The totals a checkpoint keeps, so the resumed run reports the whole cleanup
+const SAVED_TOTALS = ['deleted', 'failed', 'skipped', 'scanned', 'protected', 'failureReasons', 'skipReasons', 'oldestMessageId', 'newestMessageId'];
+
+// Checkpoints keyed by run ID: what the run is doing (channel, command, target, options),
+// who started it, its totals, and the oldest message ID it has dealt with (before), from
+// which it carries on
+let checkpoints = readDataFile('checkpoints.json', {});
+
+// The stats of runs with a checkpoint in this process, so a shutdown can save their latest totals
+const checkpointedRuns = new Map();
+
+function saveCheckpoints() {
+  writeDataFile('checkpoints.json', checkpoints);
+}
+
+// Start checkpointing a run in one channel. `target` is what the run deletes up to, as
+// { targetMessageId } or { range } with the range's IDs as strings. Runs that are part of a
+// multi-channel cleanup aren't checkpointed, as the channels after them would be forgotten
+function startCheckpoint(channel, options, stats, target) {
+  if (!RESUMABLE_SOURCES.includes(options.source) || options.batchController) return;
+
+  const previous = options.resume || {};
+  checkpoints[stats.runId] = {
+    runId: stats.runId,
+    guildId: channel.guildId,
+    channelId: channel.id,
+    invokerId: options.invokerId,
+    command: options.command || null,
+    source: options.source,
+    args: options.args || null,
+    filter: options.filter ? options.filter.criteria : null,
+    archive: options.archive || null,
+    override: options.override || false,
+    ...target,
+    before: previous.before || null,
+    totals: previous.totals || {},
+    startedAt: previous.startedAt || new Date(stats.startedAt).toISOString(),
+    resumedAt: options.resume ? new Date().toISOString() : null
+  };
+  checkpointedRuns.set(stats.runId, stats);
+  saveCheckpoints();
+}
+
+// Save a run's totals and, once a page is done, the oldest message ID it reached
+function saveCheckpoint(stats, before) {
+  const checkpoint = checkpoints[stats.runId];
+  if (!checkpoint) return;
+
+  if (before) checkpoint.before = before;
+  checkpoint.totals = Object.fromEntries(SAVED_TOTALS.map(name => [name, stats[name]]));
+  saveCheckpoints();
+}
+
+// Forget a run's checkpoint once it has finished
+function clearCheckpoint(stats) {
+  checkpointedRuns.delete(stats.runId);
+  if (!checkpoints[stats.runId]) return;
+
+  delete checkpoints[stats.runId];
+  saveCheckpoints();
+}
+
+// Carry a resumed run on with the ID and totals of the run it continues
+function restoreCheckpoint(stats, checkpoint) {
+  stats.runId = checkpoint.runId;
+  for (const name of SAVED_TOTALS) {
+    if (checkpoint.totals[name] !== undefined) stats[name] = checkpoint.totals[name];
+  }
+}
+
+// The saved checkpoints, oldest first
+function listCheckpoints() {
+  return Object.values(checkpoints).sort((a, b) => Date.parse(a.startedAt) - Date.parse(b.startedAt));
+}
+
+// Save the totals of every checkpointed run and stop them, for a shutdown. They are marked
+// as interrupted, so they stop without finishing and keep their checkpoint for the next start.
+// Returns how many runs were stopped
+function checkpointRunningJobs() {
+  const runs = [...checkpointedRuns.values()];
+  for (const stats of runs) {
+    stats.interrupted = true;
+    saveCheckpoint(stats);
+    stats.controller.abort();
+  }
+  return runs.length;
+}
+
+module.exports = {
+  RESUMABLE_SOURCES,
+  startCheckpoint,
+  saveCheckpoint,
+  clearCheckpoint,
+  restoreCheckpoint,
+  listCheckpoints,
+  checkpointRunningJobs
+};
@@ -0,0 +1,197 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Handlers for the cleanup commands and right-click commands, shared by their slash and
+ * prefix versions.
+ */
+
+const { config } = require('./config');
+const { buildMessageFilter, getSlashFilterValues, MULTI_CHANNEL_COMMANDS } = require('./options');
+const { canOverrideProtection } = require('./protection');
+const { rangeBetween, rangeFromMessageIds, rangeSince } = require('./time');
+const { cleanMessages, cleanRange, cleanUntilMessage } = require('./cleanup');
+const { cleanChannels, parseChannelList, purgeUser } = require('./channels');
+
+// Read the content filters, transcript format, protection override and preview option of a
+// cleanup command, and the target channels of those that can clean several at once.
+// Throws an Error with a user-facing message if any of them is invalid
+function readCleanupOptions(interaction) {
+  const override = interaction.options.getBoolean('override') || false;
+  if (override && !canOverrideProtection(interaction.member, interaction.channel)) {
+    throw new Error('Only administrators can override message protection.');
+  }
+
+  const cleanup = {
+    filter: buildMessageFilter(getSlashFilterValues(interaction)),
+    archive: interaction.options.getString('archive'),
+    override,
+    preview: interaction.options.getBoolean('preview') || false,
+    // Channels for a multi-channel cleanup; null means just this channel
+    targetChannels: null,
+    // Messages deleted in each channel, for clean
+    amount: interaction.options.getInteger('amount'),
+    includeThreads: false
+  };
+
+  if (MULTI_CHANNEL_COMMANDS.includes(interaction.commandName)) {
+    cleanup.includeThreads = interaction.options.getBoolean('include-threads') || false;
+    const channelsText = interaction.options.getString('channels');
+    if (channelsText) cleanup.targetChannels = parseChannelList(interaction.guild, channelsText);
+    if (cleanup.includeThreads && !cleanup.targetChannels) cleanup.targetChannels = [interaction.channel];
+
+    if (cleanup.targetChannels && cleanup.preview) {
+      throw new Error('Previews work on one channel at a time. Leave out channels and include-threads to preview.');
+    }
+  }
+  return cleanup;
+}
+
+// Run a cleanup (runOne(channel, callback, options)) in this channel or across the target
+// channels, replying when it finishes
+function runCleanup(interaction, cleanup, runOne) {
+  const { filter, archive, override, preview } = cleanup;
+  const options = { filter, archive, override, onProgress: interaction.onProgress, ...interaction.audit };
+  if (cleanup.targetChannels) {
+    const targetOptions = { includeThreads: cleanup.includeThreads, limit: config.maxChannelsPerCleanup, amount: cleanup.amount };
+    return cleanChannels(interaction.member, cleanup.targetChannels, targetOptions, runOne, interaction.respond, options);
+  }
+  return runOne(interaction.channel, interaction.respond, { preview, ...options });
+}
+
+// Reply privately with an error (posted in the channel for prefix commands)
+function replyError(interaction, content) {
+  return interaction.reply({ content, flags: [1 << 6] });
+}
+
+// clean: delete the last X messages
+async function handleClean(interaction) {
+  const amount = interaction.options.getInteger('amount');
+  let cleanup;
+  try {
+    cleanup = readCleanupOptions(interaction);
+  } catch (error) {
+    return replyError(interaction, error.message);
+  }
+
+  if (amount > interaction.settings.maxCleanAmount) {
+    return replyError(interaction, `This server allows deleting at most ${interaction.settings.maxCleanAmount} messages at a time.`);
+  }
+  if (interaction.auth.maxAmount !== null && amount > interaction.auth.maxAmount) {
+    return replyError(interaction, `You can delete at most ${interaction.auth.maxAmount} messages at a time.`);
+  }
+  // Large cleanups need a preview to confirm, and previews only cover one channel
+  if (cleanup.targetChannels && amount > config.confirmThreshold) {
+    return replyError(interaction, `Across several channels, clean deletes at most ${config.confirmThreshold} messages per channel.`);
+  }
+
+  await interaction.deferReply({ flags: [1 << 6] });
+  await runCleanup(interaction, cleanup, (channel, callback, options) => cleanMessages(channel, amount, callback, options));
+}
+
+// cleanuntil: delete every message newer than a specific message
+async function handleCleanUntil(interaction) {
+  const targetMessageId = interaction.options.getString('messageid');
+  if (!/^\d+$/.test(targetMessageId)) {
+    return replyError(interaction, 'Please provide a valid message ID of the "good" message to keep. Right-click on the message and select "Copy ID" to get it.');
+  }
+
+  let cleanup;
+  try {
+    cleanup = readCleanupOptions(interaction);
+  } catch (error) {
+    return replyError(interaction, error.message);
+  }
+
+  await interaction.deferReply({ flags: [1 << 6] });
+  await runCleanup(interaction, cleanup, (channel, callback, options) => cleanUntilMessage(channel, targetMessageId, callback, options));
+}
+
+// cleanrange, cleansince and cleanbetween: delete a block of messages
+async function handleCleanRange(interaction) {
+  let range;
+  let cleanup;
+  try {
+    if (interaction.commandName === 'cleanrange') {
+      range = rangeFromMessageIds(interaction.options.getString('from'), interaction.options.getString('to'));
+    } else if (interaction.commandName === 'cleansince') {
+      range = rangeSince(interaction.options.getString('duration'));
+    } else {
+      range = rangeBetween(interaction.options.getString('start'), interaction.options.getString('end'));
+    }
+    cleanup = readCleanupOptions(interaction);
+  } catch (error) {
+    return replyError(interaction, error.message);
+  }
+
+  await interaction.deferReply({ flags: [1 << 6] });
+  await runCleanup(interaction, cleanup, (channel, callback, options) => cleanRange(channel, range, callback, options));
+}
+
+// purgeuser: delete one user's recent messages across the server
+async function handlePurgeUser(interaction) {
+  const user = interaction.options.getUser('user');
+  let range;
+  let cleanup;
+  try {
+    range = rangeSince(interaction.options.getString('since'));
+    cleanup = readCleanupOptions(interaction);
+  } catch (error) {
+    return replyError(interaction, error.message);
+  }
+  const includeThreads = interaction.options.getBoolean('include-threads') || false;
+
+  await interaction.deferReply({ flags: [1 << 6] });
+  await purgeUser(interaction.member, user.id, range, includeThreads, interaction.respond, {
+    archive: cleanup.archive,
+    override: cleanup.override,
+    onProgress: interaction.onProgress,
+    ...interaction.audit
+  });
+}
+
+// Right-click "Clean up to here": cleanuntil with the right-clicked message as the target
+async function handleCleanUpToHere(interaction) {
+  await interaction.deferReply({ flags: [1 << 6] });
+  await cleanUntilMessage(interaction.channel, interaction.targetId, interaction.respond, {
+    onProgress: interaction.onProgress,
+    ...interaction.audit
+  });
+}
+
+// Right-click purges: the recent messages of the right-clicked message's author or user
+async function handlePurgeRecent(interaction) {
+  const targetUser = interaction.isMessageContextMenuCommand()
+    ? interaction.targetMessage.author
+    : interaction.targetUser;
+
+  await interaction.deferReply({ flags: [1 << 6] });
+  const { maxAmount } = interaction.auth;
+  const amount = maxAmount !== null ? Math.min(maxAmount, config.contextMenuPurgeAmount) : config.contextMenuPurgeAmount;
+  await cleanMessages(interaction.channel, amount, interaction.respond, {
+    filter: buildMessageFilter({ user: targetUser.id }),
+    onProgress: interaction.onProgress,
+    ...interaction.audit
+  });
+}
+
+module.exports = {
+  handleClean,
+  handleCleanUntil,
+  handleCleanRange,
+  handlePurgeUser,
+  handleCleanUpToHere,
+  handlePurgeRecent
+};
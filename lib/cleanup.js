@@ -0,0 +1,455 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * The cleanup commands: collecting messages, previews, and deleting by amount, up to a
+ * message, or within a range.
+ */
+
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  Collection,
+  SnowflakeUtil
+} = require('discord.js');
+const crypto = require('crypto');
+const { config } = require('./config');
+const { describeProtected, splitProtected } = require('./protection');
+const { BULK_DELETE_MAX_AGE, deleteMessages } = require('./delete');
+const {
+  createRunStats,
+  dropJob,
+  finishJob,
+  queueJob,
+  recordScanned,
+  reportProgress,
+  statusMessageIds
+} = require('./jobs');
+const { saveArchive, serializeMessage } = require('./archive');
+const { keepsUndoSnapshot, saveUndoSnapshot } = require('./undo');
+const { recordCleanup } = require('./audit');
+const { clearCheckpoint, restoreCheckpoint, saveCheckpoint, startCheckpoint } = require('./checkpoints');
+
+// Snapshots of messages awaiting Confirm/Cancel from a preview, keyed by preview ID
+const pendingPreviews = new Map();
+
+// Walk back through the channel history, 100 messages per page, collecting up to `amount`
+// messages that pass the filter. With a filter set, stop after filterScanLimit messages
+// have been looked at even if fewer matches were found, or when the signal is aborted
+async function collectMessages(channel, amount, filter, signal) {
+  const matches = new Collection();
+  let scanned = 0;
+  let lastMessageId = null;
+  
+  while (matches.size < amount && (!filter || scanned < config.filterScanLimit) && !(signal && signal.aborted)) {
+    // Without a filter there is no point fetching more than we still need
+    const options = { limit: filter ? 100 : Math.min(100, amount - matches.size) };
+    if (lastMessageId) options.before = lastMessageId;
+    
+    const messages = await channel.messages.fetch(options);
+    if (messages.size === 0) break; // No more messages
+    
+    lastMessageId = messages.last().id;
+    scanned += messages.size;
+    
+    for (const msg of messages.values()) {
+      if (matches.size >= amount) break;
+      if (!filter || filter(msg)) matches.set(msg.id, msg);
+    }
+  }
+  
+  return { messages: matches, scanned };
+}
+
+// Delete messages, leaving protected ones alone, and add the outcome to a run's totals
+async function deleteAndTally(channel, candidates, stats, options) {
+  const { deletable: messages, protectedCounts } = await splitProtected(candidates.filter(msg => !statusMessageIds.has(msg.id)), options.override);
+  for (const [reason, count] of Object.entries(protectedCounts)) {
+    stats.protected[reason] = (stats.protected[reason] || 0) + count;
+  }
+  if (messages.size === 0) return;
+  
+  // Copy the messages before deleting, as afterwards the content is gone for good. Only the
+  // ones actually deleted go into the transcript and undo snapshot
+  const copies = stats.archivedMessages ? messages.map(serializeMessage) : null;
+  
+  // Keep the totals current while deleting, so progress updates show messages as they go
+  const before = { deleted: stats.deleted, failed: stats.failed, skipped: stats.skipped };
+  const tally = result => {
+    stats.deleted = before.deleted + result.deleted.length;
+    stats.failed = before.failed + result.failed.length;
+    stats.skipped = before.skipped + result.skipped.length;
+  };
+  const result = await deleteMessages(channel, messages, {
+    signal: stats.controller.signal,
+    onProgress: partial => {
+      tally(partial);
+      reportProgress(stats, options);
+    }
+  });
+  tally(result);
+  if (copies) {
+    const deletedIds = new Set(result.deleted);
+    stats.archivedMessages.push(...copies.filter(copy => deletedIds.has(copy.id)));
+  }
+  for (const { reason } of result.failed) stats.failureReasons[reason] = (stats.failureReasons[reason] || 0) + 1;
+  for (const { reason } of result.skipped) stats.skipReasons[reason] = (stats.skipReasons[reason] || 0) + 1;
+  
+  // Track the span of message IDs the run touched
+  for (const id of messages.keys()) {
+    if (!stats.oldestMessageId || BigInt(id) < BigInt(stats.oldestMessageId)) stats.oldestMessageId = id;
+    if (!stats.newestMessageId || BigInt(id) > BigInt(stats.newestMessageId)) stats.newestMessageId = id;
+  }
+}
+
+// Extra sentences for a completion reply: messages that couldn't be deleted or were protected,
+// and the transcript
+function describeOutcome(stats) {
+  const problems = [];
+  const reasons = counts => Object.entries(counts).map(([reason, count]) => `${count} ${reason}`).join(', ');
+  if (stats.failed > 0) problems.push(`${stats.failed} could not be deleted (${reasons(stats.failureReasons)})`);
+  if (stats.skipped > 0) problems.push(`${stats.skipped} were skipped (${reasons(stats.skipReasons)})`);
+  const protectedTotal = Object.values(stats.protected).reduce((sum, count) => sum + count, 0);
+  if (protectedTotal > 0) problems.push(`${protectedTotal} were kept as protected (${describeProtected(stats.protected)})`);
+  const transcript = stats.archiveFile ? ` Transcript saved as \`${stats.archiveFile}\`.` : '';
+  return (problems.length > 0 ? ` ${problems.join(' and ')}.` : '') + transcript;
+}
+
+// Wrap up a cleanup run: save its transcript if one was requested and its undo snapshot,
+// then record it in the audit log
+async function finishRun(channel, options, stats) {
+  finishJob(stats);
+  clearCheckpoint(stats);
+  if (options.archive) {
+    try {
+      stats.archiveFile = await saveArchive(channel, options, stats);
+    } catch (error) {
+      console.error('Error saving transcript:', error);
+    }
+  }
+  if (keepsUndoSnapshot(options)) {
+    try {
+      saveUndoSnapshot(channel, options, stats);
+    } catch (error) {
+      console.error('Error saving undo snapshot:', error);
+    }
+  }
+  await recordCleanup(channel, options, stats);
+}
+
+// Delete the messages in one page of a scan that pass the run's filter, then checkpoint the
+// run below that page. A page cut short by cancelling or a shutdown is looked at again if
+// the run resumes
+async function deletePage(channel, messages, stats, options) {
+  recordScanned(stats, options, messages);
+  const toDelete = options.filter ? messages.filter(options.filter) : messages;
+  if (toDelete.size > 0) await deleteAndTally(channel, toDelete, stats, options);
+  if (!stats.controller.signal.aborted) saveCheckpoint(stats, messages.last().id);
+}
+
+// Walk back through the channel history until the target message is found, passing each
+// page of messages newer than the target to onBatch. Starts from the newest message, or
+// below `before` when resuming. Stops if the signal is aborted
+async function scanUntilMessage(channel, targetMessageId, onBatch, signal, before = null) {
+  let lastMessageId = before;
+  
+  while (!(signal && signal.aborted)) {
+    // Fetch messages before the last one we've seen
+    const options = { limit: 100 };
+    if (lastMessageId) options.before = lastMessageId;
+    
+    const messages = await channel.messages.fetch(options);
+    
+    if (messages.size === 0) return false; // No more messages
+    
+    // Update the last message ID for next fetch
+    lastMessageId = messages.last().id;
+    
+    // Check if target message is in this batch
+    if (messages.has(targetMessageId)) {
+      // Get all messages newer than the target
+      const targetTimestamp = messages.get(targetMessageId).createdTimestamp;
+      const newerMessages = messages.filter(msg => 
+        msg.id !== targetMessageId && 
+        msg.createdTimestamp > targetTimestamp
+      );
+      
+      if (newerMessages.size > 0) await onBatch(newerMessages);
+      return true;
+    }
+    
+    await onBatch(messages);
+  }
+  return false;
+}
+
+// Build the preview report for a snapshot of messages, with Confirm/Cancel buttons.
+// Protected messages are left out of the snapshot and listed separately
+async function buildPreviewResponse(channel, candidates, options, note) {
+  const { deletable: messages, protectedCounts } = await splitProtected(candidates, options.override);
+  if (Object.keys(protectedCounts).length > 0) {
+    const protectedNote = `Kept as protected: ${describeProtected(protectedCounts)}.`;
+    note = note ? `${note}\n${protectedNote}` : protectedNote;
+  }
+  
+  if (messages.size === 0) {
+    return { content: `**Preview:** no messages would be deleted.${note ? `\n${note}` : ''}`, components: [] };
+  }
+  
+  const twoWeeksAgo = Date.now() - BULK_DELETE_MAX_AGE;
+  const authors = new Map();
+  let bulkCount = 0;
+  let oldest = Infinity;
+  let newest = 0;
+  
+  for (const msg of messages.values()) {
+    const author = authors.get(msg.author.id) || { tag: msg.author.tag, count: 0 };
+    author.count++;
+    authors.set(msg.author.id, author);
+    
+    if (msg.createdTimestamp > twoWeeksAgo) bulkCount++;
+    oldest = Math.min(oldest, msg.createdTimestamp);
+    newest = Math.max(newest, msg.createdTimestamp);
+  }
+  
+  // List the most prolific authors first, keeping the report within Discord's message limit
+  const sortedAuthors = [...authors.values()].sort((a, b) => b.count - a.count);
+  const authorLines = sortedAuthors.slice(0, 10).map(author => `- ${author.tag}: ${author.count}`);
+  if (sortedAuthors.length > 10) {
+    authorLines.push(`- ...and ${sortedAuthors.length - 10} more authors`);
+  }
+  
+  // Remember exactly which messages were previewed so Confirm deletes this snapshot and nothing else
+  const previewId = crypto.randomBytes(8).toString('hex');
+  pendingPreviews.set(previewId, { channelId: channel.id, options, messages });
+  setTimeout(() => pendingPreviews.delete(previewId), config.previewTimeout).unref();
+  
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`preview:confirm:${previewId}`)
+      .setLabel(`Delete ${messages.size} messages`)
+      .setStyle(ButtonStyle.Danger),
+    new ButtonBuilder()
+      .setCustomId(`preview:cancel:${previewId}`)
+      .setLabel('Cancel')
+      .setStyle(ButtonStyle.Secondary)
+  );
+  
+  return {
+    content: `
+**Preview:** ${messages.size} messages would be deleted.${note ? `\n${note}` : ''}
+
+**By author:**
+${authorLines.join('\n')}
+
+- Bulk-deletable (<14 days): ${bulkCount}
+- One by one (14+ days): ${messages.size - bulkCount}
+- Oldest: <t:${Math.floor(oldest / 1000)}:f>
+- Newest: <t:${Math.floor(newest / 1000)}:f>
+    `,
+    components: [row]
+  };
+}
+
+// Shared cleanup logic for both command types. Returns the run's stats, or nothing for a preview
+async function cleanMessages(channel, amount, responseCallback, options = {}) {
+  const stats = createRunStats(options);
+  try {
+    // Wait for other cleanups in this channel first, so the messages we collect are still there
+    if (!options.preview) await queueJob(channel, options, stats);
+    
+    // Fetch the messages to delete
+    const { messages, scanned } = await collectMessages(channel, amount, options.filter, stats.controller.signal);
+    const scanNote = options.filter ? `Scanned ${scanned} messages for matches.` : null;
+    
+    if (options.preview) {
+      await responseCallback(await buildPreviewResponse(channel, messages, options, scanNote));
+      return;
+    }
+    
+    // Large cleanups go through the preview so a typo in the amount can't wipe a channel,
+    // unless the caller already confirmed (the CLI's --yes)
+    if (messages.size > config.confirmThreshold && !options.confirmed) {
+      const note = `This is more than ${config.confirmThreshold} messages, so please confirm before anything is deleted.`;
+      dropJob(stats);
+      await responseCallback(await buildPreviewResponse(channel, messages, options, scanNote ? `${scanNote}\n${note}` : note));
+      return;
+    }
+    
+    stats.scanned = scanned;
+    stats.total = messages.size;
+    await deleteAndTally(channel, messages, stats, options);
+    await finishRun(channel, options, stats);
+    
+    // Provide response on completion
+    await responseCallback(
+      (stats.controller.signal.aborted
+        ? `Cleanup cancelled after deleting ${stats.deleted} messages.`
+        : `Successfully deleted ${stats.deleted} messages.`) +
+      `${describeOutcome(stats)}${scanNote ? ` ${scanNote}` : ''}`
+    );
+  } catch (error) {
+    console.error('Error deleting messages:', error);
+    stats.error = error.message;
+    await finishRun(channel, options, stats);
+    await responseCallback('There was an error deleting messages. Some messages may be too old to delete in bulk.');
+  }
+  return stats;
+}
+
+// Shared cleanuntil logic for both command types. Returns the run's stats, or nothing for a preview
+async function cleanUntilMessage(channel, targetMessageId, responseCallback, options = {}) {
+  const stats = createRunStats(options);
+  try {
+    if (options.preview) {
+      // Collect everything newer than the target without deleting anything
+      let snapshot = new Collection();
+      const targetFound = await scanUntilMessage(channel, targetMessageId, async (messages) => {
+        snapshot = snapshot.concat(options.filter ? messages.filter(options.filter) : messages);
+      });
+      
+      const note = targetFound ? null : `Target message not found; this would delete all fetchable ${options.filter ? 'matching ' : ''}messages in the channel.`;
+      await responseCallback(await buildPreviewResponse(channel, snapshot, options, note));
+      return;
+    }
+    
+    // Checkpoint before queueing, so a queued run is resumed too
+    if (options.resume) restoreCheckpoint(stats, options.resume);
+    startCheckpoint(channel, options, stats, { targetMessageId });
+    
+    // Progress is measured by how far back in time the scan has got towards the target
+    await queueJob(channel, options, stats);
+    stats.span = { from: SnowflakeUtil.timestampFrom(targetMessageId), to: stats.startedAt };
+    
+    // Continue fetching and deleting messages until target is found
+    const targetFound = await scanUntilMessage(channel, targetMessageId, async (messages) => {
+      await deletePage(channel, messages, stats, options);
+    }, stats.controller.signal, options.resume ? options.resume.before : null);
+    
+    // Stopped by a shutdown: the checkpoint is kept and the run carries on after the restart
+    if (stats.interrupted) return stats;
+    
+    stats.targetFound = targetFound;
+    await finishRun(channel, options, stats);
+    
+    // Provide response on completion
+    await responseCallback(
+      (stats.controller.signal.aborted
+        ? `Cleanup cancelled after deleting ${stats.deleted} messages.`
+        : targetFound 
+        ? `Successfully deleted ${stats.deleted} messages up to the target message.` 
+        : `Target message not found. Deleted all fetchable ${options.filter ? 'matching ' : ''}messages in the channel.`) +
+      describeOutcome(stats)
+    );
+  } catch (error) {
+    if (stats.interrupted) return stats;
+    console.error('Error cleaning messages:', error);
+    stats.error = error.message;
+    await finishRun(channel, options, stats);
+    await responseCallback('There was an error deleting messages. Some messages may be too old to delete in bulk.');
+  }
+  return stats;
+}
+
+// Walk back through the channel history from the top of the range (or below `before` when
+// resuming) to its bottom, passing each page of messages inside the range to onBatch.
+// Stops if the signal is aborted
+async function scanRange(channel, range, onBatch, signal, before = null) {
+  // Start just above the newest message in the range so it is included
+  let lastMessageId = before || (range.to !== null ? (range.to + 1n).toString() : null);
+  
+  while (!(signal && signal.aborted)) {
+    const options = { limit: 100 };
+    if (lastMessageId) options.before = lastMessageId;
+    
+    const messages = await channel.messages.fetch(options);
+    if (messages.size === 0) return; // No more messages
+    
+    lastMessageId = messages.last().id;
+    
+    const inRange = messages.filter(msg => BigInt(msg.id) >= range.from);
+    if (inRange.size > 0) await onBatch(inRange);
+    
+    // Stop once we've walked past the oldest message in the range
+    if (BigInt(lastMessageId) < range.from) return;
+  }
+}
+
+// Shared range cleanup logic for cleanrange, cleansince and cleanbetween.
+// Returns the run's stats, or nothing for a preview
+async function cleanRange(channel, range, responseCallback, options = {}) {
+  const stats = createRunStats(options);
+  try {
+    if (options.preview) {
+      // Collect everything in the range without deleting anything
+      let snapshot = new Collection();
+      await scanRange(channel, range, async (messages) => {
+        snapshot = snapshot.concat(options.filter ? messages.filter(options.filter) : messages);
+      });
+      await responseCallback(await buildPreviewResponse(channel, snapshot, options));
+      return;
+    }
+    
+    // Checkpoint before queueing, so a queued run is resumed too
+    if (options.resume) restoreCheckpoint(stats, options.resume);
+    startCheckpoint(channel, options, stats, {
+      range: { from: range.from.toString(), to: range.to !== null ? range.to.toString() : null, description: range.description }
+    });
+    
+    // Progress is measured by how far back in time the scan has got through the range
+    await queueJob(channel, options, stats);
+    stats.span = {
+      from: Math.max(SnowflakeUtil.timestampFrom(range.from), channel.createdTimestamp || 0),
+      to: range.to !== null ? SnowflakeUtil.timestampFrom(range.to) : stats.startedAt
+    };
+    
+    await scanRange(channel, range, async (messages) => {
+      await deletePage(channel, messages, stats, options);
+    }, stats.controller.signal, options.resume ? options.resume.before : null);
+    
+    // Stopped by a shutdown: the checkpoint is kept and the run carries on after the restart
+    if (stats.interrupted) return stats;
+    
+    await finishRun(channel, options, stats);
+    
+    // Provide response on completion
+    await responseCallback(
+      (stats.controller.signal.aborted
+        ? `Cleanup cancelled after deleting ${stats.deleted} messages.`
+        : `Successfully deleted ${stats.deleted} messages ${range.description}.`) +
+      describeOutcome(stats)
+    );
+  } catch (error) {
+    if (stats.interrupted) return stats;
+    console.error('Error cleaning message range:', error);
+    stats.error = error.message;
+    await finishRun(channel, options, stats);
+    await responseCallback('There was an error deleting messages. Some messages may be too old to delete in bulk.');
+  }
+  return stats;
+}
+
+module.exports = {
+  pendingPreviews,
+  collectMessages,
+  scanUntilMessage,
+  deleteAndTally,
+  describeOutcome,
+  finishRun,
+  cleanMessages,
+  cleanUntilMessage,
+  cleanRange
+};
@@ -0,0 +1,385 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * The discord-cleanup command line tool: argument parsing and the subcommands, run with a
+ * logged-in client. Logging in and printing are left to discord-cleanup.js.
+ */
+
+const { Collection, PermissionsBitField } = require('discord.js');
+const crypto = require('crypto');
+const fs = require('fs');
+const { config } = require('./config');
+const { FILTER_OPTIONS, buildMessageFilter } = require('./options');
+const { describeProtected, splitProtected } = require('./protection');
+const { ARCHIVE_FORMATS, renderTranscript, serializeMessage } = require('./archive');
+const { cleanMessages, cleanUntilMessage, collectMessages, scanUntilMessage } = require('./cleanup');
+
+// Exit codes, documented in the readme so scripts can rely on them
+const EXIT_CODES = {
+  ok: 0,
+  error: 1, // Something went wrong: login, a missing channel, a Discord error
+  usage: 2, // The command line was invalid
+  incomplete: 3, // The cleanup ran, but some messages could not be deleted or the target was not found
+  needsConfirmation: 4 // clean would delete more than confirmThreshold messages and --yes was not given
+};
+
+// Options taking a value, and switches. Content filters use the same names as the prefix flags
+const CLI_OPTIONS = [
+  { name: 'channel', type: 'string' },
+  { name: 'amount', type: 'string' },
+  { name: 'message', type: 'string' },
+  { name: 'format', type: 'string' },
+  { name: 'output', type: 'string' },
+  { name: 'archive', type: 'string' },
+  { name: 'dry-run', type: 'boolean' },
+  { name: 'override', type: 'boolean' },
+  { name: 'yes', type: 'boolean' },
+  { name: 'channels', type: 'boolean' },
+  { name: 'json', type: 'boolean' },
+  { name: 'help', type: 'boolean' },
+  ...FILTER_OPTIONS
+];
+
+const FILTER_NAMES = FILTER_OPTIONS.map(option => option.name);
+
+// The subcommands and the options each one accepts besides --json and --help
+const CLI_COMMANDS = {
+  clean: {
+    usage: 'clean --channel <id> --amount <n> [filters] [--dry-run] [--yes] [--archive <format>] [--override]',
+    description: 'Delete the last n messages in a channel',
+    required: ['channel', 'amount'],
+    options: ['channel', 'amount', 'dry-run', 'yes', 'archive', 'override', ...FILTER_NAMES]
+  },
+  until: {
+    usage: 'until --channel <id> --message <id> [filters] [--dry-run] [--archive <format>] [--override]',
+    description: 'Delete every message newer than the given one',
+    required: ['channel', 'message'],
+    options: ['channel', 'message', 'dry-run', 'archive', 'override', ...FILTER_NAMES]
+  },
+  export: {
+    usage: 'export --channel <id> (--amount <n> | --message <id>) [filters] [--format json|txt|html] [--output <file>]',
+    description: 'Save a transcript of messages without deleting them',
+    required: ['channel'],
+    options: ['channel', 'amount', 'message', 'format', 'output', ...FILTER_NAMES]
+  },
+  'list-guilds': {
+    usage: 'list-guilds [--channels]',
+    description: 'List the servers the bot is in, and with --channels their text channels',
+    required: [],
+    options: ['channels']
+  }
+};
+
+// Usage text for --help and invalid command lines
+function describeUsage() {
+  const lines = ['Usage: discord-cleanup <command> [options]', '', 'Commands:'];
+  for (const command of Object.values(CLI_COMMANDS)) {
+    lines.push(`  ${command.usage}`, `      ${command.description}`);
+  }
+  lines.push(
+    '',
+    'Filters (clean, until and export):',
+    ...FILTER_OPTIONS.map(option => `  --${option.name}${option.type === 'string' ? ' <value>' : ''}  ${option.description}`),
+    '',
+    'Every command accepts --json to print its result as JSON.',
+    `Exit codes: ${Object.entries(EXIT_CODES).map(([name, code]) => `${code} ${name}`).join(', ')}`
+  );
+  return `${lines.join('\n')}\n`;
+}
+
+// Parse the arguments after the script name into { command, options }. Values follow their
+// option as the next argument or after an equals sign (--amount 50, --amount=50).
+// Throws an Error with a user-facing message on invalid input
+function parseCliArgs(argv) {
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) {
+      positional.push(argv[i]);
+      continue;
+    }
+
+    const [name, inlineValue] = argv[i].slice(2).split(/=(.*)/s);
+    const option = CLI_OPTIONS.find(candidate => candidate.name === name);
+    if (!option) throw new Error(`Unknown option --${name}.`);
+
+    if (option.type === 'boolean') {
+      if (inlineValue !== undefined) throw new Error(`The --${name} option does not take a value.`);
+      options[name] = true;
+    } else if (inlineValue !== undefined) {
+      options[name] = inlineValue;
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      options[name] = argv[++i];
+    } else {
+      throw new Error(`The --${name} option needs a value.`);
+    }
+  }
+
+  if (options.help) return { command: null, options };
+
+  if (positional.length === 0) throw new Error('Please give a command.');
+  if (positional.length > 1) throw new Error(`Unexpected argument "${positional[1]}".`);
+
+  const command = positional[0];
+  const spec = CLI_COMMANDS[command];
+  if (!spec) throw new Error(`Unknown command "${command}".`);
+
+  const unsupported = Object.keys(options).find(name => name !== 'json' && !spec.options.includes(name));
+  if (unsupported) throw new Error(`The ${command} command does not take --${unsupported}.`);
+
+  const missing = spec.required.find(name => options[name] === undefined);
+  if (missing) throw new Error(`The ${command} command needs --${missing}.`);
+
+  for (const name of ['channel', 'message']) {
+    if (options[name] !== undefined && !/^\d+$/.test(options[name])) {
+      throw new Error(`The --${name} option takes an ID.`);
+    }
+  }
+
+  if (options.amount !== undefined) {
+    const amount = /^\d+$/.test(options.amount) ? parseInt(options.amount, 10) : NaN;
+    if (isNaN(amount) || amount < 1 || amount > config.maxCleanAmount) {
+      throw new Error(`The --amount option takes a number between 1 and ${config.maxCleanAmount}.`);
+    }
+    options.amount = amount;
+  }
+
+  if (command === 'export') {
+    if ((options.amount === undefined) === (options.message === undefined)) {
+      throw new Error('The export command needs either --amount or --message.');
+    }
+    options.format = options.format ? options.format.toLowerCase() : 'json';
+    if (!ARCHIVE_FORMATS.includes(options.format)) {
+      throw new Error(`The --format option takes one of: ${ARCHIVE_FORMATS.join(', ')}.`);
+    }
+  }
+
+  if (options.archive !== undefined) {
+    options.archive = options.archive.toLowerCase();
+    if (!ARCHIVE_FORMATS.includes(options.archive)) {
+      throw new Error(`The --archive option takes one of: ${ARCHIVE_FORMATS.join(', ')}.`);
+    }
+  }
+
+  // Build the filter now so a bad regex is reported before logging in
+  options.filter = buildMessageFilter(options);
+
+  return { command, options };
+}
+
+// Look up a text channel the bot can see, throwing a user-facing Error if there is none
+async function fetchTextChannel(client, channelId) {
+  let channel = null;
+  try {
+    channel = await client.channels.fetch(channelId);
+  } catch (error) {
+    // Unknown channel or missing access: both mean the bot can't use it
+  }
+  if (!channel || !channel.guild || !channel.isTextBased()) {
+    throw new Error(`Channel ${channelId} was not found, is not a text channel, or the bot cannot see it.`);
+  }
+  return channel;
+}
+
+// Channel details included in every result
+function describeChannel(channel) {
+  return { id: channel.id, name: channel.name, guildId: channel.guildId, guildName: channel.guild.name };
+}
+
+// Count what a clean or until run would delete, without deleting anything
+async function dryRun(channel, command, options) {
+  let candidates;
+  let scanned;
+  let targetFound;
+  if (command === 'clean') {
+    ({ messages: candidates, scanned } = await collectMessages(channel, options.amount, options.filter));
+  } else {
+    candidates = new Collection();
+    scanned = 0;
+    targetFound = await scanUntilMessage(channel, options.message, async (messages) => {
+      scanned += messages.size;
+      candidates = candidates.concat(options.filter ? messages.filter(options.filter) : messages);
+    });
+  }
+
+  const { deletable, protectedCounts } = await splitProtected(candidates, options.override);
+  const byAuthor = {};
+  for (const msg of deletable.values()) byAuthor[msg.author.tag] = (byAuthor[msg.author.tag] || 0) + 1;
+  const timestamps = deletable.map(msg => msg.createdTimestamp);
+
+  const result = {
+    command,
+    dryRun: true,
+    channel: describeChannel(channel),
+    wouldDelete: deletable.size,
+    scanned,
+    protected: protectedCounts,
+    byAuthor,
+    oldest: timestamps.length > 0 ? new Date(Math.min(...timestamps)).toISOString() : null,
+    newest: timestamps.length > 0 ? new Date(Math.max(...timestamps)).toISOString() : null
+  };
+  if (command === 'until') result.targetFound = targetFound;
+
+  const lines = [];
+  if (command === 'until' && !targetFound) lines.push('Target message not found; every fetchable message would be deleted.');
+  lines.push(`Would delete ${deletable.size} messages from #${channel.name}${result.oldest ? `, posted between ${result.oldest} and ${result.newest}` : ''}.`);
+  if (Object.keys(protectedCounts).length > 0) lines.push(`Kept as protected: ${describeProtected(protectedCounts)}.`);
+  for (const [tag, count] of Object.entries(byAuthor).sort((a, b) => b[1] - a[1])) lines.push(`  ${tag}: ${count}`);
+
+  return { exitCode: EXIT_CODES.ok, result, text: lines.join('\n') };
+}
+
+// Run clean or until against a channel, the same way the bot's commands do
+async function runCleanup(client, channel, command, options) {
+  if (!channel.permissionsFor(client.user).has(PermissionsBitField.Flags.ManageMessages)) {
+    throw new Error(`The bot needs the "Manage Messages" permission in #${channel.name}.`);
+  }
+  if (options['dry-run']) return dryRun(channel, command, options);
+
+  const responses = [];
+  const respond = async (response) => {
+    responses.push(typeof response === 'string' ? response : response.content);
+  };
+  const runOptions = {
+    filter: options.filter,
+    archive: options.archive || null,
+    override: options.override || false,
+    confirmed: options.yes || false,
+    invokerId: client.user.id,
+    command: command === 'clean' ? 'clean' : 'cleanuntil',
+    source: 'cli',
+    args: Object.fromEntries(Object.entries(options).filter(([name]) => name !== 'filter'))
+  };
+  const stats = command === 'clean'
+    ? await cleanMessages(channel, options.amount, respond, runOptions)
+    : await cleanUntilMessage(channel, options.message, respond, runOptions);
+
+  // Without --yes, large cleanups stop at the preview the bot would have asked to confirm
+  if (!stats) {
+    return {
+      exitCode: EXIT_CODES.needsConfirmation,
+      result: { command, dryRun: false, channel: describeChannel(channel), needsConfirmation: true, confirmThreshold: config.confirmThreshold },
+      text: `This would delete more than ${config.confirmThreshold} messages. Run again with --yes to delete them, or with --dry-run to see what would go.`
+    };
+  }
+
+  const result = {
+    command,
+    dryRun: false,
+    channel: describeChannel(channel),
+    runId: stats.runId,
+    deleted: stats.deleted,
+    failed: stats.failed,
+    skipped: stats.skipped,
+    failureReasons: stats.failureReasons,
+    skipReasons: stats.skipReasons,
+    protected: stats.protected,
+    archiveFile: stats.archiveFile || null,
+    error: stats.error || null
+  };
+  if (command === 'until') result.targetFound = stats.targetFound;
+
+  let exitCode = EXIT_CODES.ok;
+  if (stats.error) exitCode = EXIT_CODES.error;
+  else if (stats.failed > 0 || (command === 'until' && !stats.targetFound)) exitCode = EXIT_CODES.incomplete;
+
+  const text = stats.error ? `${responses.join('\n')} (${stats.error})` : responses.join('\n');
+  return { exitCode, result, text };
+}
+
+// Save a transcript of messages without deleting them, to a file or as the output itself
+async function runExport(client, channel, options) {
+  let messages;
+  if (options.amount !== undefined) {
+    ({ messages } = await collectMessages(channel, options.amount, options.filter));
+  } else {
+    messages = new Collection();
+    await scanUntilMessage(channel, options.message, async (batch) => {
+      messages = messages.concat(options.filter ? batch.filter(options.filter) : batch);
+    });
+  }
+
+  const header = {
+    runId: crypto.randomBytes(4).toString('hex'),
+    command: 'export',
+    invoker: client.user.tag,
+    exportedAt: new Date().toISOString(),
+    guild: { id: channel.guildId, name: channel.guild.name },
+    channel: { id: channel.id, name: channel.name }
+  };
+  // Transcripts read oldest first
+  const serialized = messages.map(serializeMessage).sort((a, b) => (BigInt(a.id) < BigInt(b.id) ? -1 : 1));
+  const transcript = renderTranscript(options.format, header, serialized);
+
+  if (!options.output) {
+    return { exitCode: EXIT_CODES.ok, result: null, text: transcript };
+  }
+
+  fs.writeFileSync(options.output, transcript);
+  return {
+    exitCode: EXIT_CODES.ok,
+    result: { command: 'export', channel: describeChannel(channel), messages: serialized.length, format: options.format, file: options.output },
+    text: `Exported ${serialized.length} messages from #${channel.name} to ${options.output}.`
+  };
+}
+
+// List the servers the bot is in, with their text channels if asked
+async function runListGuilds(client, options) {
+  const guilds = client.guilds.cache
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(guild => {
+      const entry = { id: guild.id, name: guild.name, memberCount: guild.memberCount };
+      if (options.channels) {
+        entry.channels = guild.channels.cache
+          .filter(channel => channel.isTextBased() && !channel.isThread())
+          .sort((a, b) => a.rawPosition - b.rawPosition)
+          .map(channel => ({ id: channel.id, name: channel.name }));
+      }
+      return entry;
+    });
+
+  const lines = [];
+  for (const guild of guilds) {
+    lines.push(`${guild.id}  ${guild.name} (${guild.memberCount} members)`);
+    for (const channel of guild.channels || []) lines.push(`  ${channel.id}  #${channel.name}`);
+  }
+  if (guilds.length === 0) lines.push('The bot is not in any servers.');
+
+  return { exitCode: EXIT_CODES.ok, result: { guilds }, text: lines.join('\n') };
+}
+
+// Run a parsed command with a logged-in client. Returns { exitCode, result, text }: the result
+// is printed for --json and the text otherwise. Errors are reported rather than thrown
+async function runCliCommand(client, { command, options }) {
+  try {
+    if (command === 'list-guilds') return await runListGuilds(client, options);
+
+    const channel = await fetchTextChannel(client, options.channel);
+    if (command === 'export') return await runExport(client, channel, options);
+    return await runCleanup(client, channel, command, options);
+  } catch (error) {
+    return { exitCode: EXIT_CODES.error, result: { command, error: error.message }, text: error.message };
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  CLI_COMMANDS,
+  describeUsage,
+  parseCliArgs,
+  runCliCommand
+};
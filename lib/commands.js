@@ -0,0 +1,497 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Every command the bot understands, defined once for slash, prefix and right-click use.
+ * See registry.js for what a definition holds.
+ */
+
+const { ChannelType } = require('discord.js');
+const fs = require('fs');
+const path = require('path');
+const { config, rootDir } = require('./config');
+const { POLICY_PERMISSIONS, handleCleanPerm } = require('./permissions');
+const { GUILD_SETTINGS, handleCleanConfig } = require('./guild-settings');
+const { CLEANUP_COMMANDS, FILTER_OPTIONS } = require('./options');
+const { handleCleanJobs, handleCleanStop } = require('./jobs');
+const { handleCleanLog } = require('./audit');
+const { handleCleanUndo } = require('./undo');
+const { handleCleanSchedule } = require('./schedules');
+const { handleRetention } = require('./retention');
+const { handleCleanMine } = require('./self-service');
+const {
+  handleClean,
+  handleCleanRange,
+  handleCleanUntil,
+  handleCleanUpToHere,
+  handlePurgeRecent,
+  handlePurgeUser
+} = require('./cleanup-commands');
+const { buildApplicationCommand, describeCommandHelp, describeHelpOverview } = require('./registry');
+
+const PREVIEW_OPTION = {
+  name: 'preview',
+  type: 'boolean',
+  description: 'Show what would be deleted and ask for confirmation first',
+  flags: ['dry-run']
+};
+
+const ARCHIVE_OPTION = {
+  name: 'archive',
+  type: 'string',
+  description: 'Save a transcript of the deleted messages in this format',
+  choices: [
+    { name: 'JSON', value: 'json' },
+    { name: 'Plain text', value: 'txt' },
+    { name: 'HTML', value: 'html' }
+  ]
+};
+
+const OVERRIDE_OPTION = {
+  name: 'override',
+  type: 'boolean',
+  description: 'Administrators only: also delete pinned and other protected messages'
+};
+
+// The content filter, archive and override options every cleanup command takes
+const CLEANUP_OPTIONS = [...FILTER_OPTIONS, ARCHIVE_OPTION, OVERRIDE_OPTION];
+
+// Options of the cleanup commands that can run in several channels at once
+const CHANNEL_OPTIONS = [
+  { name: 'channels', type: 'string', description: 'Clean these channels or categories instead of this one (mentions or IDs)' },
+  { name: 'include-threads', type: 'boolean', description: 'Also clean active and archived threads and forum posts in those channels' }
+];
+
+// The options shared by /cleanperm allow and deny. Leaving user, role and permission
+// empty makes the rule apply to everyone
+const RULE_OPTIONS = [
+  { name: 'user', type: 'user', description: 'User the rule applies to' },
+  { name: 'role', type: 'role', description: 'Role the rule applies to' },
+  {
+    name: 'permission',
+    type: 'string',
+    description: 'Apply the rule to anyone with this permission',
+    choices: POLICY_PERMISSIONS.map(name => ({ name, value: name }))
+  },
+  { name: 'channel', type: 'channel', description: 'Only apply the rule in this channel' },
+  {
+    name: 'command',
+    type: 'string',
+    description: 'Only apply the rule to this command',
+    choices: [...CLEANUP_COMMANDS, 'cleanperm', 'cleanconfig', 'cleanlog', 'cleanundo', 'cleanschedule', 'retention', 'cleanstop', 'cleanjobs', 'purgeuser', 'cleanmine', 'help', 'version'].map(name => ({ name, value: name }))
+  }
+];
+
+const SETTING_CHOICES = GUILD_SETTINGS.map(setting => ({ name: setting.name, value: setting.name }));
+
+const FILTER_DETAILS = 'Narrow the cleanup with filters (`user`, `bots-only`, `contains`, `has-link` and so on), save a transcript with `archive`, and keep protected messages unless an administrator adds `override`.';
+
+const commands = [
+  {
+    name: 'clean',
+    aliases: ['clear'],
+    description: 'Delete a specified number of recent messages',
+    options: [
+      {
+        name: 'amount',
+        type: 'integer',
+        description: `Number of messages to delete (1-${config.maxCleanAmount})`,
+        required: true,
+        positional: true,
+        min: 1,
+        max: config.maxCleanAmount
+      },
+      PREVIEW_OPTION,
+      ...CLEANUP_OPTIONS,
+      ...CHANNEL_OPTIONS
+    ],
+    details: `${FILTER_DETAILS} Runs larger than the confirmation threshold show a preview to confirm first. Add \`channels\` or \`include-threads\` to clean several channels at once.`,
+    examples: ['!clean 50', '!clean 200 --user @spammer --has-link', '!clean 20 channels:"#general #memes" --dry-run'],
+    handler: handleClean
+  },
+  {
+    name: 'cleanuntil',
+    aliases: ['until'],
+    description: 'Delete all messages up to a specific message',
+    options: [
+      {
+        name: 'messageid',
+        type: 'string',
+        description: 'ID of the message to keep (and delete everything newer)',
+        required: true,
+        positional: true
+      },
+      PREVIEW_OPTION,
+      ...CLEANUP_OPTIONS
+    ],
+    details: `${FILTER_DETAILS} Right-click a message and select "Copy ID" to get its ID.`,
+    examples: ['!cleanuntil 123456789012345678', '!cleanuntil 123456789012345678 --bots-only --archive html'],
+    handler: handleCleanUntil
+  },
+  {
+    name: 'cleanrange',
+    aliases: ['range'],
+    description: 'Delete all messages between two messages (inclusive)',
+    options: [
+      { name: 'from', type: 'string', description: 'ID of the first message to delete', required: true, positional: true },
+      { name: 'to', type: 'string', description: 'ID of the last message to delete', required: true, positional: true },
+      PREVIEW_OPTION,
+      ...CLEANUP_OPTIONS
+    ],
+    details: FILTER_DETAILS,
+    examples: ['!cleanrange 123456789012345678 123456789012345999'],
+    handler: handleCleanRange
+  },
+  {
+    name: 'cleansince',
+    aliases: ['since'],
+    description: 'Delete all messages posted within a recent time period',
+    options: [
+      {
+        name: 'duration',
+        type: 'string',
+        description: 'How far back to delete, e.g. 30m, 2h, 1d or 1h30m',
+        required: true,
+        positional: true
+      },
+      PREVIEW_OPTION,
+      ...CLEANUP_OPTIONS,
+      ...CHANNEL_OPTIONS
+    ],
+    details: FILTER_DETAILS,
+    examples: ['!cleansince 2h', '!cleansince 1d --contains "free nitro" --include-threads'],
+    handler: handleCleanRange
+  },
+  {
+    name: 'cleanbetween',
+    aliases: ['between'],
+    description: 'Delete all messages posted between two times',
+    options: [
+      { name: 'start', type: 'string', description: 'Start time in ISO 8601 format, e.g. 2025-03-08T14:00', required: true, positional: true },
+      { name: 'end', type: 'string', description: 'End time in ISO 8601 format, e.g. 2025-03-08T15:30', required: true, positional: true },
+      PREVIEW_OPTION,
+      ...CLEANUP_OPTIONS,
+      ...CHANNEL_OPTIONS
+    ],
+    details: FILTER_DETAILS,
+    examples: ['!cleanbetween 2025-03-08T14:00 2025-03-08T15:30'],
+    handler: handleCleanRange
+  },
+  {
+    name: 'purgeuser',
+    aliases: ['purge'],
+    description: 'Delete a user\'s recent messages from every channel in this server',
+    options: [
+      { name: 'user', type: 'user', description: 'Whose messages to delete', required: true, positional: true },
+      {
+        name: 'since',
+        type: 'string',
+        description: 'How far back to delete, e.g. 30m, 2h, 1d or 1h30m',
+        required: true,
+        positional: true
+      },
+      { name: 'include-threads', type: 'boolean', description: 'Also clean active and archived threads and forum posts' },
+      OVERRIDE_OPTION,
+      ARCHIVE_OPTION
+    ],
+    examples: ['!purgeuser @spammer 2h', '!purgeuser 123456789012345678 1d --include-threads'],
+    handler: handlePurgeUser
+  },
+  {
+    name: 'cleanmine',
+    aliases: ['mine'],
+    description: 'Delete your own recent messages (anyone can use this)',
+    options: [
+      {
+        name: 'amount',
+        type: 'integer',
+        description: 'Number of your messages to delete',
+        positional: true,
+        min: 1,
+        max: config.maxCleanAmount
+      },
+      { name: 'since', type: 'string', description: 'Only your messages from this far back, e.g. 30m, 2h or 1d' },
+      { name: 'until', type: 'string', description: 'Only your messages newer than this message ID' },
+      { name: 'all-channels', type: 'boolean', description: 'Delete them in every channel you can see instead of just this one' }
+    ],
+    details: `Deletes only messages you posted, and needs at least one of \`amount\`, \`since\` and \`until\`. Each channel's last ${config.filterScanLimit} messages are looked through. You can run it once every ${config.cleanMine.cooldownSeconds} seconds and delete up to ${config.cleanMine.dailyQuota} messages a day.`,
+    examples: ['!cleanmine 20', '!cleanmine since:1h --all-channels', '!cleanmine until:123456789012345678'],
+    handler: handleCleanMine
+  },
+  {
+    name: 'help',
+    aliases: ['commands'],
+    description: 'Get information about the bot commands',
+    options: [
+      { name: 'command', type: 'string', description: 'Show the options and examples of this command', positional: true }
+    ],
+    botPermissions: [],
+    handler: handleHelp
+  },
+  {
+    name: 'version',
+    description: 'Show the bot version information',
+    botPermissions: [],
+    handler: handleVersion
+  },
+  {
+    name: 'cleanperm',
+    description: 'Manage who can use the cleanup commands in this server',
+    subcommands: [
+      {
+        name: 'allow',
+        description: 'Allow a user, role or permission holder to use the bot',
+        options: [
+          {
+            name: 'max-amount',
+            type: 'integer',
+            description: 'Most messages they may delete at once (limits them to amount-based commands)',
+            min: 1
+          },
+          ...RULE_OPTIONS
+        ]
+      },
+      { name: 'deny', description: 'Stop a user, role or permission holder from using the bot', options: RULE_OPTIONS },
+      {
+        name: 'remove',
+        description: 'Remove a permission rule',
+        options: [{ name: 'id', type: 'string', description: 'ID of the rule, as shown by /cleanperm list', required: true, positional: true }]
+      },
+      { name: 'list', description: 'List the permission rules for this server' }
+    ],
+    examples: ['!cleanperm allow role:@Moderators max-amount:100', '!cleanperm deny user:@someone command:purgeuser', '!cleanperm list'],
+    handler: handleCleanPerm
+  },
+  {
+    name: 'cleanconfig',
+    description: 'View or change the bot settings for this server',
+    subcommands: [
+      {
+        name: 'get',
+        description: 'Show the settings for this server',
+        options: [{ name: 'setting', type: 'string', description: 'Only show this setting', choices: SETTING_CHOICES, positional: true }]
+      },
+      {
+        name: 'set',
+        description: 'Change a setting for this server',
+        options: [
+          { name: 'setting', type: 'string', description: 'Setting to change', required: true, choices: SETTING_CHOICES, positional: true },
+          {
+            name: 'value',
+            type: 'string',
+            description: 'New value. Use "none" to clear the mod-log channel or protected roles',
+            required: true,
+            positional: true
+          }
+        ]
+      },
+      {
+        name: 'reset',
+        description: 'Go back to the default from config.json',
+        options: [{ name: 'setting', type: 'string', description: 'Setting to reset (all settings if left out)', choices: SETTING_CHOICES, positional: true }]
+      }
+    ],
+    examples: ['!cleanconfig get', '!cleanconfig set prefix ?', '!cleanconfig set protected-roles "@Staff @Bots"'],
+    handler: handleCleanConfig
+  },
+  {
+    name: 'cleanlog',
+    description: 'Show recent cleanups in this server',
+    options: [
+      { name: 'limit', type: 'integer', description: 'How many entries to show (default 10)', min: 1, max: 25, positional: true },
+      { name: 'user', type: 'user', description: 'Only show cleanups run by this user' },
+      { name: 'channel', type: 'channel', description: 'Only show cleanups in this channel' }
+    ],
+    handler: handleCleanLog
+  },
+  {
+    name: 'cleanschedule',
+    description: 'Manage recurring purges of a channel',
+    subcommands: [
+      {
+        name: 'add',
+        description: 'Purge a channel on a schedule',
+        options: [
+          {
+            name: 'channel',
+            type: 'channel',
+            description: 'Channel to purge',
+            channelTypes: [ChannelType.GuildText, ChannelType.GuildAnnouncement],
+            required: true,
+            positional: true
+          },
+          {
+            name: 'when',
+            type: 'string',
+            description: 'e.g. "every 6h", "daily 04:00" or a cron expression like "0 4 * * *"',
+            required: true,
+            positional: true
+          },
+          { name: 'older-than', type: 'string', description: 'Only delete messages older than this, e.g. 24h (default: everything)' },
+          { name: 'keep-pinned', type: 'boolean', description: 'Leave pinned messages alone (default: true)' }
+        ]
+      },
+      { name: 'list', description: 'List the scheduled purges in this server' },
+      {
+        name: 'remove',
+        description: 'Remove a scheduled purge',
+        options: [{ name: 'id', type: 'string', description: 'ID of the schedule, as shown by /cleanschedule list', required: true, positional: true }]
+      }
+    ],
+    examples: ['!cleanschedule add #bot-spam "every 6h" older-than:24h', '!cleanschedule list'],
+    handler: handleCleanSchedule
+  },
+  {
+    name: 'retention',
+    description: 'Delete messages once they reach a maximum age',
+    subcommands: [
+      {
+        name: 'set',
+        description: 'Set how long messages are kept in a channel or category',
+        options: [
+          {
+            name: 'channel',
+            type: 'channel',
+            description: 'Channel or category the policy applies to',
+            channelTypes: [ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildVoice, ChannelType.GuildCategory],
+            required: true,
+            positional: true
+          },
+          {
+            name: 'max-age',
+            type: 'string',
+            description: 'How long messages are kept, e.g. 30d, or "off" to remove the policy',
+            required: true,
+            positional: true
+          }
+        ]
+      },
+      { name: 'show', description: 'List the retention policies in this server and how far behind each one is' },
+      {
+        name: 'run-now',
+        description: 'Enforce retention policies now instead of waiting for the next pass',
+        options: [
+          { name: 'channel', type: 'channel', description: 'Only this channel or category (default: every policy in this server)', positional: true }
+        ]
+      }
+    ],
+    examples: ['!retention set #logs 30d', '!retention show'],
+    handler: handleRetention
+  },
+  {
+    name: 'cleanundo',
+    aliases: ['undo'],
+    description: 'Restore the messages from a recent cleanup',
+    options: [
+      { name: 'run', type: 'string', description: 'Run ID of the cleanup to restore (leave empty to list recent ones)', positional: true }
+    ],
+    handler: handleCleanUndo
+  },
+  {
+    name: 'cleanstop',
+    aliases: ['stop'],
+    description: 'Stop cleanups running in this channel',
+    options: [
+      { name: 'run', type: 'string', description: 'Run ID of the cleanup to stop (leave empty to stop every cleanup in this channel)', positional: true }
+    ],
+    details: 'You can also press **Cancel** on a cleanup\'s status message.',
+    handler: handleCleanStop
+  },
+  {
+    name: 'cleanjobs',
+    aliases: ['jobs'],
+    description: 'List running, queued and recently finished cleanups in this server',
+    handler: handleCleanJobs
+  },
+  // Right-click (Apps menu) commands are authorized as the command they run
+  {
+    name: 'Clean up to here',
+    contextMenu: 'message',
+    policy: 'cleanuntil',
+    description: 'Deletes all messages newer than that message',
+    handler: handleCleanUpToHere
+  },
+  {
+    name: 'Purge author\'s recent messages',
+    contextMenu: 'message',
+    policy: 'clean',
+    description: `Deletes that message's author's last ${config.contextMenuPurgeAmount} messages in this channel`,
+    handler: handlePurgeRecent
+  },
+  {
+    name: 'Purge recent messages from user',
+    contextMenu: 'user',
+    policy: 'clean',
+    description: `Deletes that user's last ${config.contextMenuPurgeAmount} messages in this channel`,
+    handler: handlePurgeRecent
+  }
+];
+
+// Find a command by the name Discord sends with an interaction
+function findCommand(name) {
+  return commands.find(command => command.name === name) || null;
+}
+
+// Find the command a prefix command word names, by name or alias
+function findPrefixCommand(word) {
+  const name = word.toLowerCase();
+  return commands.find(command =>
+    !command.contextMenu && (command.name === name || (command.aliases || []).includes(name))
+  ) || null;
+}
+
+// help: the list of commands, or the help page of one
+async function handleHelp(interaction) {
+  const { prefix } = interaction.settings;
+  const name = interaction.options.getString('command');
+  if (!name) {
+    return interaction.reply({ content: describeHelpOverview(commands, prefix), flags: [1 << 6] });
+  }
+
+  const command = findPrefixCommand(name.startsWith(prefix) ? name.slice(prefix.length) : name.replace(/^\//, ''));
+  if (!command) {
+    return interaction.reply({ content: `There is no \`${name}\` command. Run \`/help\` to list them.`, flags: [1 << 6] });
+  }
+  return interaction.reply({ content: describeCommandHelp(command, prefix), flags: [1 << 6] });
+}
+
+// version: the bot's version and where to report issues
+async function handleVersion(interaction) {
+  const packageInfo = JSON.parse(fs.readFileSync(path.join(rootDir, 'package.json'), 'utf8'));
+  const repository = packageInfo.repository.url.replace('git+', '').replace('.git', '');
+
+  return interaction.reply({
+    content: `
+**Discord Cleanup Bot v${packageInfo.version}**
+
+- Node.js: ${process.version}
+- Discord.js: v${packageInfo.dependencies['discord.js'].replace('^', '')}
+- Repository: ${repository}
+
+Report issues: ${repository}/issues
+    `,
+    flags: [1 << 6]
+  });
+}
+
+// The slash and right-click commands to register with Discord
+const applicationCommands = commands.map(buildApplicationCommand);
+
+module.exports = {
+  commands,
+  applicationCommands,
+  findCommand,
+  findPrefixCommand
+};
@@ -0,0 +1,190 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * What config.json may contain, and checking a config against it. Used by the bot, the
+ * command line tools and setup.js, so it has no dependencies: setup runs before npm install.
+ *
+ * Each rule has a type: string, integer, boolean, id (a Discord ID), array (of `items`),
+ * map (of Discord IDs to `values`) or object (with `fields`, any of them `required`).
+ * Strings may have `choices` or a `pattern` with a `hint` describing it; integers a `min`.
+ */
+
+// Permissions that permission rules (and /cleanperm) can grant access by
+const POLICY_PERMISSIONS = ['Administrator', 'ManageGuild', 'ManageChannels', 'ManageMessages', 'ModerateMembers', 'KickMembers', 'BanMembers'];
+
+const ID = { type: 'id' };
+const ID_LIST = { type: 'array', items: ID };
+
+// Auto-moderation settings, allowed both at the top of autoMod and per guild
+const AUTOMOD_FIELDS = {
+  enabled: { type: 'boolean' },
+  floodMessages: { type: 'integer', min: 2 },
+  floodSeconds: { type: 'integer', min: 1 },
+  duplicateChannels: { type: 'integer', min: 2 },
+  duplicateSeconds: { type: 'integer', min: 1 },
+  maxMentions: { type: 'integer', min: 0 },
+  blockInvites: { type: 'boolean' },
+  newAccountDays: { type: 'integer', min: 0 },
+  timeoutMinutes: { type: 'integer', min: 0 },
+  ignoreChannels: ID_LIST,
+  ignoreRoles: ID_LIST
+};
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  fields: {
+    prefix: { type: 'string', pattern: /^\S{1,5}$/, hint: '1 to 5 characters without spaces' },
+    authorizedUsers: ID_LIST,
+    deleteConfirmationTimeout: { type: 'integer', min: 0 },
+    previewTimeout: { type: 'integer', min: 1000 },
+    progressInterval: { type: 'integer', min: 1000 },
+    maxChannelsPerCleanup: { type: 'integer', min: 1 },
+    maxConcurrentJobs: { type: 'integer', min: 1 },
+    deleteRetries: { type: 'integer', min: 0 },
+    filterScanLimit: { type: 'integer', min: 1 },
+    maxCleanAmount: { type: 'integer', min: 1 },
+    confirmThreshold: { type: 'integer', min: 1 },
+    contextMenuPurgeAmount: { type: 'integer', min: 1 },
+    permissionRules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['effect'],
+        fields: {
+          effect: { type: 'string', choices: ['allow', 'deny'] },
+          userId: ID,
+          roleId: ID,
+          permission: { type: 'string', choices: POLICY_PERMISSIONS },
+          guildId: ID,
+          channelId: ID,
+          commands: { type: 'array', items: { type: 'string' } },
+          maxAmount: { type: 'integer', min: 1 }
+        }
+      }
+    },
+    dataDir: { type: 'string', pattern: /\S/, hint: 'a directory path' },
+    modLogChannels: { type: 'map', values: ID },
+    archiveDir: { type: 'string', pattern: /\S/, hint: 'a directory path' },
+    archiveDestinations: { type: 'array', items: { type: 'string', choices: ['local', 'modlog', 'dm'] } },
+    undoRetention: { type: 'integer', min: 0 },
+    schedules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['channelId', 'when'],
+        fields: {
+          channelId: ID,
+          when: { type: 'string', pattern: /\S/, hint: 'a schedule such as "every 6h"' },
+          olderThan: { type: 'string', pattern: /^(\d+[smhdw])+$/i, hint: 'a duration such as "24h"' },
+          keepPinned: { type: 'boolean' }
+        }
+      }
+    },
+    retentionInterval: { type: 'integer', min: 60 * 1000 },
+    devGuilds: ID_LIST,
+    autoMod: {
+      type: 'object',
+      fields: {
+        ...AUTOMOD_FIELDS,
+        guilds: { type: 'map', values: { type: 'object', fields: AUTOMOD_FIELDS } }
+      }
+    },
+    protection: {
+      type: 'object',
+      fields: {
+        pinned: { type: 'boolean' },
+        reactions: { type: 'array', items: { type: 'string' } },
+        users: ID_LIST,
+        roles: ID_LIST,
+        minAgeSeconds: { type: 'integer', min: 0 }
+      }
+    },
+    cleanMine: {
+      type: 'object',
+      fields: {
+        cooldownSeconds: { type: 'integer', min: 0 },
+        dailyQuota: { type: 'integer', min: 1 }
+      }
+    }
+  }
+};
+
+// What a rule expects, for error messages
+function describeRule(rule) {
+  if (rule.choices) return `one of ${rule.choices.map(choice => `"${choice}"`).join(', ')}`;
+  if (rule.hint) return rule.hint;
+  if (rule.type === 'id') return 'a Discord ID written as a string of digits, e.g. "123456789012345678"';
+  if (rule.type === 'integer') return rule.min !== undefined ? `a whole number of at least ${rule.min}` : 'a whole number';
+  if (rule.type === 'boolean') return 'true or false';
+  if (rule.type === 'array') return 'a list';
+  if (rule.type === 'map' || rule.type === 'object') return 'an object';
+  return 'text';
+}
+
+const isPlainObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Check a value against a rule, adding problems to errors and unknown fields to warnings
+function checkValue(rule, value, where, errors, warnings) {
+  const fail = () => errors.push(`${where} must be ${describeRule(rule)}, not ${JSON.stringify(value)}.`);
+
+  if (rule.type === 'id') {
+    if (typeof value !== 'string' || !/^\d{15,21}$/.test(value)) fail();
+  } else if (rule.type === 'string') {
+    if (typeof value !== 'string' || (rule.choices && !rule.choices.includes(value)) || (rule.pattern && !rule.pattern.test(value))) fail();
+  } else if (rule.type === 'integer') {
+    if (!Number.isInteger(value) || (rule.min !== undefined && value < rule.min)) fail();
+  } else if (rule.type === 'boolean') {
+    if (typeof value !== 'boolean') fail();
+  } else if (rule.type === 'array') {
+    if (!Array.isArray(value)) return fail();
+    value.forEach((item, index) => checkValue(rule.items, item, `${where}[${index}]`, errors, warnings));
+  } else if (rule.type === 'map') {
+    if (!isPlainObject(value)) return fail();
+    for (const [key, item] of Object.entries(value)) {
+      if (!/^\d{15,21}$/.test(key)) errors.push(`${where} keys must be Discord IDs, not ${JSON.stringify(key)}.`);
+      checkValue(rule.values, item, `${where}["${key}"]`, errors, warnings);
+    }
+  } else if (rule.type === 'object') {
+    if (!isPlainObject(value)) return fail();
+    for (const name of rule.required || []) {
+      if (value[name] === undefined) errors.push(`${where ? `${where}.` : ''}${name} is required.`);
+    }
+    for (const [name, item] of Object.entries(value)) {
+      const path = where ? `${where}.${name}` : name;
+      if (rule.fields[name]) checkValue(rule.fields[name], item, path, errors, warnings);
+      else warnings.push(`${path} is not a setting the bot knows and will be ignored.`);
+    }
+  }
+}
+
+// Check a parsed config.json. Returns { errors, warnings } as lists of readable messages:
+// errors make the config unusable, warnings point out settings that do nothing
+function validateConfig(value) {
+  const errors = [];
+  const warnings = [];
+  if (!isPlainObject(value)) {
+    errors.push('config.json must contain a JSON object, e.g. { "authorizedUsers": ["123456789012345678"] }.');
+  } else {
+    checkValue(CONFIG_SCHEMA, value, '', errors, warnings);
+  }
+  return { errors, warnings };
+}
+
+module.exports = {
+  POLICY_PERMISSIONS,
+  CONFIG_SCHEMA,
+  validateConfig
+};
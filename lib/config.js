@@ -0,0 +1,167 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Configuration: the defaults, config.json on top of them, and reloading it when it changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateConfig } = require('./config-schema');
+
+// The repository root, which config.json and relative paths in it are resolved against
+const rootDir = path.join(__dirname, '..');
+
+// Auto-moderation defaults. Any of these can be set in config.json under autoMod,
+// and per guild under autoMod.guilds["<guild ID>"]
+const autoModDefaults = {
+  enabled: false,
+  floodMessages: 5, // Messages from one user in one channel...
+  floodSeconds: 5, // ...within this many seconds count as a flood
+  duplicateChannels: 3, // The same message posted in this many channels...
+  duplicateSeconds: 30, // ...within this many seconds counts as spam
+  maxMentions: 5, // Mentions in one message that count as a mass mention (0 disables)
+  blockInvites: false, // Delete Discord invite links
+  newAccountDays: 7, // Accounts younger than this may not post links (0 disables)
+  timeoutMinutes: 0, // Time out offenders for this long (0 disables)
+  ignoreChannels: [], // Channel IDs auto-mod leaves alone
+  ignoreRoles: [], // Role IDs auto-mod leaves alone
+  guilds: {} // Per-guild overrides of the settings above
+};
+
+// Protection defaults. Messages matching any of these are never deleted unless an
+// administrator passes the override option
+const protectionDefaults = {
+  pinned: true, // Keep pinned messages
+  reactions: [], // Keep messages with any of these reactions (unicode emoji or custom emoji IDs)
+  users: [], // Keep messages from these user IDs
+  roles: [], // Keep messages from members with these role IDs
+  minAgeSeconds: 0 // Keep messages newer than this many seconds (0 disables)
+};
+
+// /cleanmine limits. Each member may run it once per cooldown and delete at most
+// dailyQuota of their own messages in any 24 hours, per server
+const cleanMineDefaults = {
+  cooldownSeconds: 60,
+  dailyQuota: 200
+};
+
+// Default configuration, overridden by config.json
+const defaultConfig = {
+  prefix: '!', // Default command prefix for text commands
+  authorizedUsers: [], // This should be set in config.json
+  deleteConfirmationTimeout: 5000, // Timeout for deletion confirmation messages (ms)
+  previewTimeout: 300000, // How long Confirm/Cancel buttons on a preview stay valid (ms)
+  progressInterval: 5000, // How often the status of a running cleanup is updated (ms)
+  maxChannelsPerCleanup: 50, // Most channels and threads one multi-channel cleanup or /purgeuser may cover
+  maxConcurrentJobs: 3, // How many cleanups may run at once across all servers; the rest wait their turn
+  deleteRetries: 3, // How many times a delete is retried after a rate limit or a Discord server error
+  filterScanLimit: 1000, // Max messages to look through when a filter is set
+  maxCleanAmount: 5000, // Upper limit for the clean command's amount
+  confirmThreshold: 500, // Clean runs larger than this ask for confirmation first
+  contextMenuPurgeAmount: 100, // How many messages the "Purge" context menu commands delete
+  permissionRules: [], // Authorization rules on top of authorizedUsers (see readme)
+  dataDir: 'data', // Where runtime state such as /cleanperm rules and the audit log is saved
+  modLogChannels: {}, // Guild ID -> channel ID to post a summary of every cleanup to
+  archiveDir: 'data/archives', // Where transcripts from the archive option are saved
+  archiveDestinations: ['local'], // Where transcripts go: 'local', 'modlog' and/or 'dm' (to the invoker)
+  undoRetention: 0, // How long deleted messages are kept for /cleanundo (ms, 0 disables)
+  schedules: [], // Recurring purges, e.g. { "channelId": "...", "when": "daily 04:00", "olderThan": "24h" }
+  retentionInterval: 60 * 60 * 1000, // How often retention policies set with /retention are enforced (ms)
+  devGuilds: [], // Register the slash commands in these server IDs only, where changes apply instantly
+  autoMod: autoModDefaults, // Automatic spam detection (see readme)
+  protection: protectionDefaults, // Messages every cleanup leaves alone (see readme)
+  cleanMine: cleanMineDefaults // Limits on members deleting their own messages with /cleanmine
+};
+
+// Path of the config file. It is watched while the bot runs, so edits apply without a restart
+const configPath = path.join(rootDir, 'config.json');
+
+// Read config.json on top of the defaults. Throws if the file can't be read or parsed, or
+// breaks the schema, with every problem listed in the message
+function loadConfig() {
+  let fileConfig;
+  try {
+    fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`config.json could not be read: ${error.message}`);
+  }
+
+  const { errors, warnings } = validateConfig(fileConfig);
+  for (const warning of warnings) console.warn(`config.json: ${warning}`);
+  if (errors.length > 0) {
+    throw new Error(`config.json has ${errors.length === 1 ? 'a problem' : `${errors.length} problems`}:\n${errors.map(error => `- ${error}`).join('\n')}`);
+  }
+
+  return {
+    ...defaultConfig,
+    ...fileConfig,
+    autoMod: { ...autoModDefaults, ...fileConfig.autoMod },
+    protection: { ...protectionDefaults, ...fileConfig.protection },
+    cleanMine: { ...cleanMineDefaults, ...fileConfig.cleanMine }
+  };
+}
+
+// Load configuration
+const config = { ...defaultConfig };
+
+// Why config.json couldn't be used at startup, or null. The bot and the command line tools
+// refuse to run while it is set, rather than run with the defaults
+let configError = null;
+
+try {
+  if (fs.existsSync(configPath)) {
+    Object.assign(config, loadConfig());
+    console.log('Configuration loaded from config.json');
+  } else {
+    console.log('No config.json found, using default configuration');
+    console.log('Please create a config.json file with your authorized users');
+  }
+} catch (error) {
+  configError = error.message;
+}
+
+// The problem with config.json found at startup, or null if it loaded (or doesn't exist)
+function getConfigError() {
+  return configError;
+}
+
+// Reload config.json whenever it changes. A file that fails to parse or validate is ignored
+// and the previous configuration stays in effect. dataDir, devGuilds and the slash command
+// definitions are only read at startup, so changes to those still need a restart
+function watchConfig() {
+  fs.watchFile(configPath, { interval: 2000 }, (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) return;
+    if (!current.mtimeMs) {
+      console.log('config.json was removed, keeping the current configuration');
+      return;
+    }
+    try {
+      Object.assign(config, loadConfig());
+      console.log('Configuration reloaded from config.json');
+    } catch (error) {
+      console.error(`${error.message}\nKeeping the previous configuration.`);
+    }
+  });
+}
+
+module.exports = {
+  defaultConfig,
+  config,
+  configPath,
+  getConfigError,
+  watchConfig,
+  rootDir
+};
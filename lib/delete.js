@@ -0,0 +1,180 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * The deletion engine: bulk and single deletes, paced by Discord's rate limits and retried
+ * when they fail.
+ */
+
+const { RESTJSONErrorCodes, SnowflakeUtil } = require('discord.js');
+const { config } = require('./config');
+
+// Discord refuses to bulk delete messages older than 14 days
+const BULK_DELETE_MAX_AGE = 14 * 24 * 60 * 60 * 1000;
+
+// Rate limit state for delete requests, keyed by rate limit route and channel. Filled in from
+// the headers of every delete response and from discord.js rateLimited events, so deletions
+// go as fast as Discord currently allows rather than at a fixed pace
+const deletePacing = new Map();
+
+// Rate limit routes used for deleting messages (see @discordjs/rest for how routes are named)
+const BULK_DELETE_ROUTE = '/channels/:id/messages/bulk-delete';
+const DELETE_ROUTE = '/channels/:id/messages/:id';
+const DELETE_OLD_ROUTE = '/channels/:id/messages/:id/Delete Old Message';
+
+// Whether a rate limit route is one the deletion engine paces itself on
+function isDeleteRoute(route) {
+  return route === BULK_DELETE_ROUTE || route === DELETE_ROUTE || route === DELETE_OLD_ROUTE;
+}
+
+// Follow the rate limits of delete requests made through a REST manager (client.rest)
+function trackDeleteRateLimits(rest) {
+  // Remember how many requests are left in a delete bucket and when it refills
+  rest.on('response', (request, response) => {
+    if (!isDeleteRoute(request.route)) return;
+    const remaining = response.headers.get('x-ratelimit-remaining');
+    const resetAfter = response.headers.get('x-ratelimit-reset-after');
+    const channelMatch = /^\/channels\/(\d+)/.exec(request.path);
+    if (remaining === null || resetAfter === null || !channelMatch) return;
+    
+    const key = `${request.route}:${channelMatch[1]}`;
+    const pacing = deletePacing.get(key) || { pausedUntil: 0 };
+    pacing.remaining = Number(remaining);
+    pacing.resetAt = Date.now() + Number(resetAfter) * 1000;
+    deletePacing.set(key, pacing);
+  });
+  
+  // discord.js waits out a rate limit itself; hold back our other deletes in that bucket until it's over
+  rest.on('rateLimited', info => {
+    if (!isDeleteRoute(info.route)) return;
+    const key = `${info.route}:${info.majorParameter}`;
+    const pacing = deletePacing.get(key) || {};
+    pacing.remaining = 0;
+    pacing.pausedUntil = Date.now() + info.timeToReset;
+    pacing.resetAt = pacing.pausedUntil;
+    deletePacing.set(key, pacing);
+    console.warn(`Rate limited deleting in channel ${info.majorParameter}, pausing ${info.timeToReset}ms${info.global ? ' (global)' : ''}`);
+  });
+}
+
+// Wait until a delete request can go out without hitting the rate limit: the requests left in
+// the bucket are spread evenly over the time until it refills
+async function paceDelete(route, channelId) {
+  const pacing = deletePacing.get(`${route}:${channelId}`);
+  if (!pacing) return;
+  
+  const now = Date.now();
+  let wait = 0;
+  if (pacing.pausedUntil > now) {
+    wait = pacing.pausedUntil - now;
+  } else if (pacing.resetAt > now) {
+    wait = (pacing.resetAt - now) / (pacing.remaining + 1);
+  }
+  if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+}
+
+// Run a delete request, retrying rate limits (429) and Discord server errors (5xx) with
+// exponential backoff. Other errors are thrown straight away
+async function withRetries(request) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      const retryable = error.status === 429 || error.status >= 500;
+      if (!retryable || attempt >= config.deleteRetries) throw error;
+      const backoff = Math.min(1000 * 2 ** attempt, 30000) + Math.floor(Math.random() * 250);
+      console.warn(`Delete failed with ${error.status}, retrying in ${backoff}ms`);
+      await new Promise(resolve => setTimeout(resolve, backoff));
+    }
+  }
+}
+
+// Short reason for a failed delete, used to group failures in replies and the audit log
+function describeDeleteError(error) {
+  return error.status ? `${error.message} (${error.status})` : error.message;
+}
+
+// Delete a collection of messages: recent ones in bulk, 100 per request, and messages older than
+// 14 days one by one, paced by the rate limits Discord reports. A message that is already gone
+// counts as deleted. Returns the IDs that were deleted, and those skipped (because the signal was
+// aborted) or failed, each with a reason. onProgress is called with the result so far as it goes
+async function deleteMessages(channel, messages, { signal, onProgress } = {}) {
+  const twoWeeksAgo = Date.now() - BULK_DELETE_MAX_AGE;
+  const recentIds = [...messages.filter(msg => msg.createdTimestamp > twoWeeksAgo).keys()];
+  const singleIds = [...messages.filter(msg => msg.createdTimestamp <= twoWeeksAgo).keys()];
+  
+  const result = { deleted: [], skipped: [], failed: [] };
+  const skipRest = ids => {
+    for (const id of ids) result.skipped.push({ id, reason: 'cancelled' });
+  };
+  
+  // Bulk delete needs at least two messages; a lone recent message is deleted on its own
+  for (let i = 0; i < recentIds.length; i += 100) {
+    const batch = recentIds.slice(i, i + 100);
+    if (batch.length === 1) {
+      singleIds.unshift(batch[0]);
+      continue;
+    }
+    if (signal && signal.aborted) {
+      skipRest([...recentIds.slice(i), ...singleIds]);
+      return result;
+    }
+    
+    try {
+      await paceDelete(BULK_DELETE_ROUTE, channel.id);
+      const deleted = await withRetries(() => channel.bulkDelete(batch, true));
+      result.deleted.push(...deleted.keys());
+      // Messages that crossed the 14-day line since they were fetched have to go one by one
+      singleIds.push(...batch.filter(id => !deleted.has(id)));
+    } catch (error) {
+      // Try the batch one by one instead, so one bad message doesn't fail the rest
+      console.error('Error bulk deleting messages, falling back to single deletes:', error);
+      singleIds.push(...batch);
+    }
+    if (onProgress) onProgress(result);
+  }
+  
+  for (let i = 0; i < singleIds.length; i++) {
+    const id = singleIds[i];
+    if (signal && signal.aborted) {
+      skipRest(singleIds.slice(i));
+      return result;
+    }
+    
+    const old = Date.now() - SnowflakeUtil.timestampFrom(id) > BULK_DELETE_MAX_AGE;
+    try {
+      await paceDelete(old ? DELETE_OLD_ROUTE : DELETE_ROUTE, channel.id);
+      await withRetries(() => channel.messages.delete(id));
+      result.deleted.push(id);
+    } catch (error) {
+      if (error.code === RESTJSONErrorCodes.UnknownMessage) {
+        // Someone else got there first; it's gone either way
+        result.deleted.push(id);
+      } else {
+        console.error(`Error deleting message ${id}:`, error);
+        result.failed.push({ id, reason: describeDeleteError(error) });
+      }
+    }
+    if (onProgress) onProgress(result);
+  }
+  
+  return result;
+}
+
+module.exports = {
+  BULK_DELETE_MAX_AGE,
+  deleteMessages,
+  trackDeleteRateLimits
+};
@@ -0,0 +1,149 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Per-server settings changed with /cleanconfig, on top of the defaults from config.json.
+ */
+
+const { config } = require('./config');
+const { readDataFile, writeDataFile } = require('./storage');
+const { parseDuration } = require('./time');
+
+// Settings each server can change with /cleanconfig. `key` is the field in the settings store
+const GUILD_SETTINGS = [
+  { name: 'prefix', key: 'prefix', description: 'Prefix for text commands' },
+  { name: 'confirmation-timeout', key: 'deleteConfirmationTimeout', description: 'How long completion messages stay up, e.g. 5s or 5000 (ms)' },
+  { name: 'modlog-channel', key: 'modLogChannel', description: 'Channel to post a summary of every cleanup to' },
+  { name: 'max-amount', key: 'maxCleanAmount', description: 'Largest amount the clean command accepts' },
+  { name: 'protected-roles', key: 'protectedRoles', description: 'Roles whose messages no cleanup deletes' }
+];
+
+// Per-server settings changed with /cleanconfig, keyed by guild ID
+let guildSettingsStore = readDataFile('guild-settings.json', { guilds: {} });
+
+// The settings a server gets when it hasn't changed anything, taken from config.json
+function getDefaultGuildSettings(guildId) {
+  return {
+    prefix: config.prefix,
+    deleteConfirmationTimeout: config.deleteConfirmationTimeout,
+    modLogChannel: config.modLogChannels[guildId] || null,
+    maxCleanAmount: config.maxCleanAmount,
+    protectedRoles: config.protection.roles
+  };
+}
+
+// A server's settings: the config.json defaults with anything set through /cleanconfig on top
+function getGuildSettings(guildId) {
+  const settings = { ...getDefaultGuildSettings(guildId), ...guildSettingsStore.guilds[guildId] };
+  // A server can lower the limit from config.json but never raise it
+  settings.maxCleanAmount = Math.min(settings.maxCleanAmount, config.maxCleanAmount);
+  return settings;
+}
+
+// Parse a value given to /cleanconfig set. Throws an Error with a message for the user if it's invalid
+function parseGuildSetting(setting, value, guild) {
+  const clear = value.toLowerCase() === 'none';
+  
+  if (setting.name === 'prefix') {
+    if (!/^\S{1,5}$/.test(value)) throw new Error('The prefix must be 1 to 5 characters without spaces.');
+    return value;
+  }
+  
+  if (setting.name === 'confirmation-timeout') {
+    const ms = /^\d+$/.test(value) ? parseInt(value) : parseDuration(value);
+    if (!ms || ms < 1000 || ms > 10 * 60 * 1000) {
+      throw new Error('The confirmation timeout must be between 1s and 10m, e.g. `5s` or `5000`.');
+    }
+    return ms;
+  }
+  
+  if (setting.name === 'modlog-channel') {
+    if (clear) return null;
+    const channelId = value.replace(/^<#(\d+)>$/, '$1');
+    const channel = guild.channels.cache.get(channelId);
+    if (!channel || !channel.isTextBased()) throw new Error(`${value} is not a text channel in this server.`);
+    return channel.id;
+  }
+  
+  if (setting.name === 'max-amount') {
+    const amount = parseInt(value);
+    if (!/^\d+$/.test(value) || amount < 1 || amount > config.maxCleanAmount) {
+      throw new Error(`The max amount must be a number between 1 and ${config.maxCleanAmount}.`);
+    }
+    return amount;
+  }
+  
+  // setting.name === 'protected-roles'
+  if (clear) return [];
+  const roleIds = value.split(/[\s,]+/).filter(Boolean).map(part => part.replace(/^<@&(\d+)>$/, '$1'));
+  const unknown = roleIds.filter(id => !guild.roles.cache.has(id));
+  if (unknown.length > 0) throw new Error(`Unknown role(s): ${unknown.join(', ')}. Mention the roles or give their IDs.`);
+  return [...new Set(roleIds)];
+}
+
+// Show a setting's value the way /cleanconfig get lists it
+function formatGuildSetting(setting, value) {
+  if (setting.name === 'modlog-channel') return value ? `<#${value}>` : 'none';
+  if (setting.name === 'protected-roles') return value.length > 0 ? value.map(id => `<@&${id}>`).join(', ') : 'none';
+  if (setting.name === 'confirmation-timeout') return `${value}ms`;
+  return `\`${value}\``;
+}
+
+// Handle the /cleanconfig subcommands for viewing and changing this server's settings
+async function handleCleanConfig(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+  const name = interaction.options.getString('setting');
+  const selected = name ? GUILD_SETTINGS.filter(setting => setting.name === name) : GUILD_SETTINGS;
+  const overrides = guildSettingsStore.guilds[interaction.guildId] || {};
+  
+  if (subcommand === 'get') {
+    const settings = getGuildSettings(interaction.guildId);
+    const lines = selected.map(setting => {
+      const source = setting.key in overrides ? 'set for this server' : 'default';
+      return `- **${setting.name}**: ${formatGuildSetting(setting, settings[setting.key])} *(${source})*`;
+    });
+    return interaction.reply({ content: `**Settings for this server:**\n${lines.join('\n')}`, flags: [1 << 6] });
+  }
+  
+  if (subcommand === 'reset') {
+    selected.forEach(setting => delete overrides[setting.key]);
+    if (Object.keys(overrides).length > 0) guildSettingsStore.guilds[interaction.guildId] = overrides;
+    else delete guildSettingsStore.guilds[interaction.guildId];
+    writeDataFile('guild-settings.json', guildSettingsStore);
+    return interaction.reply({
+      content: name ? `Reset **${name}** to the default.` : 'Reset all settings for this server to the defaults.',
+      flags: [1 << 6]
+    });
+  }
+  
+  // subcommand === 'set'
+  const setting = selected[0];
+  let value;
+  try {
+    value = parseGuildSetting(setting, interaction.options.getString('value').trim(), interaction.guild);
+  } catch (error) {
+    return interaction.reply({ content: error.message, flags: [1 << 6] });
+  }
+  
+  guildSettingsStore.guilds[interaction.guildId] = { ...overrides, [setting.key]: value };
+  writeDataFile('guild-settings.json', guildSettingsStore);
+  return interaction.reply({ content: `Set **${setting.name}** to ${formatGuildSetting(setting, value)}.`, flags: [1 << 6] });
+}
+
+module.exports = {
+  GUILD_SETTINGS,
+  getGuildSettings,
+  handleCleanConfig
+};
@@ -0,0 +1,149 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Handling slash commands, right-click commands and buttons.
+ */
+
+const { getGuildSettings } = require('./guild-settings');
+const {
+  canStopRun,
+  createProgressReporter,
+  createRunStats,
+  isJobActive,
+  jobs,
+  queueJob
+} = require('./jobs');
+const { deleteAndTally, describeOutcome, finishRun, pendingPreviews } = require('./cleanup');
+const { findCommand } = require('./commands');
+const { checkCommandAccess, createSlashContext, runCommand } = require('./registry');
+
+// Handle the Confirm/Cancel buttons attached to a preview
+async function handlePreviewButton(interaction) {
+  const [, action, previewId] = interaction.customId.split(':');
+  const pending = pendingPreviews.get(previewId);
+  
+  if (!pending) {
+    return interaction.reply({ 
+      content: 'This preview has expired. Run the command again to get a fresh one.', 
+      flags: [1 << 6] 
+    });
+  }
+  
+  // Only the moderator who asked for the preview may act on it
+  if (interaction.user.id !== pending.options.invokerId) {
+    return interaction.reply({ 
+      content: 'Only the person who requested this preview can confirm or cancel it.', 
+      flags: [1 << 6] 
+    });
+  }
+  
+  pendingPreviews.delete(previewId);
+  
+  // Prefix command previews are posted in the channel, so tidy them up afterwards
+  const removeLater = () => {
+    if (interaction.message.flags.has(1 << 6)) return;
+    setTimeout(() => {
+      interaction.message.delete().catch(() => {
+        // Silently ignore deletion errors
+      });
+    }, getGuildSettings(interaction.guildId).deleteConfirmationTimeout);
+  };
+  
+  if (action === 'cancel') {
+    await interaction.update({ content: 'Cleanup cancelled. No messages were deleted.', components: [] });
+    return removeLater();
+  }
+  
+  await interaction.update({ content: `Deleting ${pending.messages.size} messages...`, components: [] });
+  
+  const channel = interaction.client.channels.cache.get(pending.channelId) || interaction.channel;
+  const options = { ...pending.options, onProgress: createProgressReporter(payload => interaction.editReply(payload)) };
+  const stats = createRunStats(options);
+  try {
+    await queueJob(channel, options, stats);
+    stats.total = pending.messages.size;
+    await deleteAndTally(channel, pending.messages, stats, options);
+    await finishRun(channel, options, stats);
+    await interaction.editReply({
+      content: (stats.controller.signal.aborted
+        ? `Cleanup cancelled after deleting ${stats.deleted} messages.`
+        : `Successfully deleted ${stats.deleted} messages.`) + describeOutcome(stats),
+      components: []
+    });
+  } catch (error) {
+    console.error('Error deleting previewed messages:', error);
+    stats.error = error.message;
+    await finishRun(channel, options, stats);
+    await interaction.editReply({ content: 'There was an error deleting messages. Some messages may be too old to delete in bulk.', components: [] });
+  }
+  removeLater();
+}
+
+// Handle the Cancel button on a running cleanup's status message
+async function handleCancelButton(interaction) {
+  const [, , runId] = interaction.customId.split(':');
+  const run = jobs.get(runId);
+  
+  if (!run || !isJobActive(run)) {
+    return interaction.reply({ content: 'This cleanup has already finished.', flags: [1 << 6] });
+  }
+  if (!canStopRun(interaction.member, interaction.channel, run)) {
+    return interaction.reply({ 
+      content: 'Only the person who started this cleanup can cancel it.', 
+      flags: [1 << 6] 
+    });
+  }
+  
+  // The run notices between deletions and posts its own final reply
+  run.stats.controller.abort();
+  await interaction.update({ content: `Stopping cleanup \`${runId}\` after ${run.stats.deleted} messages...`, components: [] });
+}
+
+// Interaction handler for slash commands
+async function handleInteraction(interaction) {
+  // Confirm/Cancel buttons from a preview
+  if (interaction.isButton() && interaction.customId.startsWith('preview:')) {
+    return handlePreviewButton(interaction);
+  }
+  
+  // Cancel button on a running cleanup
+  if (interaction.isButton() && interaction.customId.startsWith('cleanup:cancel:')) {
+    return handleCancelButton(interaction);
+  }
+  
+  // Only process command interactions
+  if (!interaction.isCommand()) return;
+  
+  // Commands are only registered for servers, but ones registered before that still show in DMs
+  if (!interaction.inGuild()) {
+    return interaction.reply({ content: 'These commands only work in a server.', flags: [1 << 6] });
+  }
+  
+  const command = findCommand(interaction.commandName);
+  if (!command) return;
+
+  // Check the member may use it and the bot has the permissions it needs
+  const access = checkCommandAccess(command, interaction.member, interaction.channel, interaction.guild);
+  if (!access.allowed) {
+    return interaction.reply({ content: access.reason, flags: [1 << 6] });
+  }
+
+  await runCommand(createSlashContext(interaction), command, access.auth);
+}
+
+module.exports = {
+  handleInteraction
+};
@@ -0,0 +1,65 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * The OAuth2 link that invites the bot to a server with the permissions it needs. Has no
+ * dependencies, as setup.js uses it before npm install.
+ */
+
+// The permissions the bot asks for, with their bits from Discord's permission list
+// (https://discord.com/developers/docs/topics/permissions)
+const BOT_PERMISSIONS = [
+  { name: 'ViewChannel', bit: 10n, reason: 'see the channels to clean' },
+  { name: 'SendMessages', bit: 11n, reason: 'answer prefix commands and post status updates' },
+  { name: 'ManageMessages', bit: 13n, reason: 'delete messages' },
+  { name: 'EmbedLinks', bit: 14n, reason: 'post cleanup reports to the mod-log channel' },
+  { name: 'AttachFiles', bit: 15n, reason: 'post transcripts to the mod-log channel' },
+  { name: 'ReadMessageHistory', bit: 16n, reason: 'find the messages to delete' },
+  { name: 'ManageWebhooks', bit: 29n, reason: 'restore messages with /cleanundo' },
+  { name: 'UseApplicationCommands', bit: 31n, reason: 'use slash commands' },
+  { name: 'ManageThreads', bit: 34n, reason: 'find private archived threads to clean' },
+  { name: 'SendMessagesInThreads', bit: 38n, reason: 'answer commands in threads' },
+  { name: 'ModerateMembers', bit: 40n, reason: 'time out spammers when auto-mod is enabled' }
+];
+
+// The permission bitfield of BOT_PERMISSIONS, as the decimal string the invite link takes
+function botPermissionBits() {
+  return BOT_PERMISSIONS.reduce((bits, permission) => bits | (1n << permission.bit), 0n).toString();
+}
+
+// The application ID a bot token belongs to. The first part of a token is the bot's user
+// ID in base64, which is also its application ID. Returns null if it doesn't look like one
+function clientIdFromToken(token) {
+  const [encoded] = String(token || '').split('.');
+  const id = Buffer.from(encoded, 'base64').toString('utf8');
+  return /^\d{15,21}$/.test(id) ? id : null;
+}
+
+// The link that adds the bot, and its slash commands, to a server
+function buildInviteUrl(clientId) {
+  const params = new URLSearchParams({
+    client_id: clientId,
+    permissions: botPermissionBits(),
+    scope: 'bot applications.commands'
+  });
+  return `https://discord.com/oauth2/authorize?${params.toString().replace(/\+/g, '%20')}`;
+}
+
+module.exports = {
+  BOT_PERMISSIONS,
+  botPermissionBits,
+  clientIdFromToken,
+  buildInviteUrl
+};
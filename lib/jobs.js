@@ -0,0 +1,305 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Cleanup runs: their totals, the job queue, progress reporting, and /cleanstop and /cleanjobs.
+ */
+
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const crypto = require('crypto');
+const { config } = require('./config');
+const { checkAuthorization } = require('./permissions');
+const { keepsUndoSnapshot } = require('./undo');
+
+// Running totals for one cleanup run, used for the reply and the audit log
+function createRunStats(options) {
+  return {
+    runId: crypto.randomBytes(4).toString('hex'),
+    startedAt: Date.now(),
+    deleted: 0,
+    failed: 0,
+    skipped: 0,
+    // Why messages failed or were skipped: reason -> count
+    failureReasons: {},
+    skipReasons: {},
+    scanned: 0,
+    protected: {}, // Messages kept by the protection rules, counted by reason
+    oldestMessageId: null,
+    newestMessageId: null,
+    // Copies of the doomed messages, kept for transcripts and /cleanundo
+    archivedMessages: options.archive || keepsUndoSnapshot(options) ? [] : null,
+    // Aborted by the Cancel button or /cleanstop
+    controller: linkBatchController(new AbortController(), options.batchController)
+  };
+}
+
+// Runs that are part of one multi-channel cleanup stop together: cancelling any of them
+// cancels the batch, and with it every run still to come
+function linkBatchController(controller, batchController) {
+  if (!batchController) return controller;
+  if (batchController.signal.aborted) controller.abort();
+  batchController.signal.addEventListener('abort', () => controller.abort());
+  controller.signal.addEventListener('abort', () => batchController.abort());
+  return controller;
+}
+
+// Cleanup jobs keyed by run ID, in the order they were queued. Finished jobs are kept for
+// FINISHED_JOB_RETENTION so /cleanjobs can show how they ended
+const jobs = new Map();
+
+// How long finished jobs stay listed in /cleanjobs
+const FINISHED_JOB_RETENTION = 10 * 60 * 1000;
+
+// Whether a job is still queued or running, and so can be cancelled
+function isJobActive(job) {
+  return job.state === 'queued' || job.state === 'running';
+}
+
+// Start queued jobs, oldest first, while there are free slots. A channel only ever has one
+// job running, so two cleanups never fight over the same messages
+function startQueuedJobs() {
+  const running = [...jobs.values()].filter(job => job.state === 'running');
+  const busyChannels = new Set(running.map(job => job.channelId));
+  let runningCount = running.length;
+  
+  for (const job of jobs.values()) {
+    if (runningCount >= config.maxConcurrentJobs) break;
+    if (job.state !== 'queued' || busyChannels.has(job.channelId)) continue;
+    
+    job.state = 'running';
+    job.startedAt = Date.now();
+    busyChannels.add(job.channelId);
+    runningCount++;
+    job.start();
+  }
+}
+
+// Queue a run as a job and wait until it may start deleting. Resolves straight away when the
+// channel and a slot are free. Cancelling a queued job resolves it too; the run then finds
+// its signal aborted and stops before doing anything
+function queueJob(channel, options, stats) {
+  return new Promise(resolve => {
+    const job = {
+      id: stats.runId,
+      channelId: channel.id,
+      guildId: channel.guildId,
+      invokerId: options.invokerId,
+      command: options.command || null,
+      state: 'queued',
+      queuedAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      stats,
+      start: resolve
+    };
+    jobs.set(job.id, job);
+    
+    stats.controller.signal.addEventListener('abort', () => {
+      if (job.state === 'queued') {
+        job.state = 'cancelled';
+        job.finishedAt = Date.now();
+        resolve();
+      }
+    });
+    
+    startQueuedJobs();
+    if (job.state === 'queued') {
+      const ahead = [...jobs.values()].filter(other => other !== job && isJobActive(other) && other.channelId === job.channelId).length;
+      stats.queuedBehind = ahead;
+      reportProgress(stats, options);
+    }
+  }).then(() => {
+    delete stats.queuedBehind;
+  });
+}
+
+// Mark a run's job as done, failed or cancelled and let the next queued job start
+function finishJob(stats) {
+  const job = jobs.get(stats.runId);
+  if (!job) return;
+  
+  if (job.state === 'running' || job.state === 'queued') {
+    job.state = stats.error ? 'failed' : stats.controller.signal.aborted ? 'cancelled' : 'done';
+  }
+  job.finishedAt = job.finishedAt || Date.now();
+  setTimeout(() => jobs.delete(job.id), FINISHED_JOB_RETENTION).unref();
+  startQueuedJobs();
+}
+
+// Remove a job that ended without deleting anything (e.g. it turned into a preview)
+function dropJob(stats) {
+  jobs.delete(stats.runId);
+  startQueuedJobs();
+}
+
+// Pass a run's latest totals to its progress listener, if it has one
+function reportProgress(stats, options) {
+  if (options.onProgress && !stats.controller.signal.aborted) options.onProgress(stats, options);
+}
+
+// Note how far back through the channel a run has got after scanning a page (newest first)
+function recordScanned(stats, options, messages) {
+  stats.scanned += messages.size;
+  if (messages.size > 0) stats.reachedTimestamp = messages.last().createdTimestamp;
+  reportProgress(stats, options);
+}
+
+// Status line for a running cleanup, with an estimate of the time left when the run knows
+// how much work there is: a message count (stats.total) or a time span (stats.span).
+// Runs in a multi-channel cleanup are headed by the channel they're on
+function describeProgress(stats, label) {
+  const heading = label ? `${label}\n` : '';
+  if (stats.queuedBehind !== undefined) {
+    const waiting = stats.queuedBehind > 0
+      ? `${stats.queuedBehind} other cleanup${stats.queuedBehind === 1 ? '' : 's'} in this channel`
+      : 'a free slot';
+    return `${heading}**Queued:** waiting for ${waiting} to finish.\nRun ID: \`${stats.runId}\``;
+  }
+  
+  const protectedTotal = Object.values(stats.protected).reduce((sum, count) => sum + count, 0);
+  let fraction = null;
+  if (stats.total) {
+    fraction = (stats.deleted + stats.failed + stats.skipped + protectedTotal) / stats.total;
+  } else if (stats.span && stats.reachedTimestamp) {
+    fraction = (stats.span.to - stats.reachedTimestamp) / (stats.span.to - stats.span.from);
+  }
+  
+  const lines = [`**Cleaning up...** deleted ${stats.deleted} messages so far (scanned ${stats.scanned}).`];
+  if (stats.reachedTimestamp) lines.push(`Reached messages from <t:${Math.floor(stats.reachedTimestamp / 1000)}:f>.`);
+  if (fraction > 0 && fraction < 1) {
+    const elapsed = Date.now() - stats.startedAt;
+    const finish = Date.now() + elapsed * (1 - fraction) / fraction;
+    lines.push(`About ${Math.round(fraction * 100)}% done, expected to finish <t:${Math.floor(finish / 1000)}:R>.`);
+  }
+  lines.push(`Run ID: \`${stats.runId}\``);
+  return heading + lines.join('\n');
+}
+
+// Build a progress listener that shows a run's status with a Cancel button, editing the
+// status message through `edit` at most once per progressInterval
+function createProgressReporter(edit) {
+  let lastUpdate = 0;
+  return (stats, options = {}) => {
+    if (Date.now() - lastUpdate < config.progressInterval) return;
+    lastUpdate = Date.now();
+    
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`cleanup:cancel:${stats.runId}`)
+        .setLabel('Cancel')
+        .setStyle(ButtonStyle.Danger)
+    );
+    Promise.resolve(edit({ content: describeProgress(stats, options.progressLabel), components: [row] })).catch(error => {
+      console.error('Error updating cleanup status:', error);
+    });
+  };
+}
+
+// IDs of the bot's live status messages, which cleanups leave alone even in the channel they post in
+const statusMessageIds = new Set();
+
+// Live status for a prefix command run: posted on the first progress update, edited after
+// that, and removed when the run finishes
+function createStatusMessage(channel) {
+  let statusMessage = null;
+  return {
+    update: async payload => {
+      if (!statusMessage) {
+        statusMessage = channel.send(payload);
+        statusMessageIds.add((await statusMessage).id);
+        return statusMessage;
+      }
+      return (await statusMessage).edit(payload);
+    },
+    remove: () => {
+      if (!statusMessage) return;
+      statusMessage.then(msg => {
+        statusMessageIds.delete(msg.id);
+        return msg.delete();
+      }).catch(() => {
+        // Silently ignore deletion errors
+      });
+    }
+  };
+}
+
+// Turn a cleanup response into editReply options. Plain text replaces the status, so the
+// Cancel button has to be removed explicitly
+function toReplyOptions(response) {
+  return typeof response === 'string' ? { content: response, components: [] } : response;
+}
+
+// Whether a member may stop a run: whoever started it, or anyone allowed to use /cleanstop
+function canStopRun(member, channel, run) {
+  return member.id === run.invokerId || checkAuthorization(member, channel, 'cleanstop').allowed;
+}
+
+// Handle /cleanstop: abort one run by ID, or every run in the current channel
+async function handleCleanStop(interaction) {
+  const runId = interaction.options.getString('run');
+  const runs = runId
+    ? [jobs.get(runId)].filter(run => run && isJobActive(run) && run.guildId === interaction.guildId)
+    : [...jobs.values()].filter(run => isJobActive(run) && run.channelId === interaction.channelId);
+  
+  if (runs.length === 0) {
+    return interaction.reply({ 
+      content: runId ? `No running cleanup with ID \`${runId}\` in this server.` : 'No cleanup is running in this channel.', 
+      flags: [1 << 6] 
+    });
+  }
+  
+  const lines = runs.map(run => `- \`${run.id}\` (${run.command || 'cleanup'} in <#${run.channelId}>, ${run.state === 'queued' ? 'still queued' : `${run.stats.deleted} deleted so far`})`);
+  for (const run of runs) run.stats.controller.abort();
+  return interaction.reply({ content: `Stopping ${runs.length} cleanup${runs.length === 1 ? '' : 's'}:\n${lines.join('\n')}`, flags: [1 << 6] });
+}
+
+// Handle /cleanjobs: list the guild's running and queued cleanups, then recently finished ones
+async function handleCleanJobs(interaction) {
+  const rank = job => (job.state === 'running' ? 0 : job.state === 'queued' ? 1 : 2);
+  const guildJobs = [...jobs.values()]
+    .filter(job => job.guildId === interaction.guildId)
+    .sort((a, b) => rank(a) - rank(b));
+  
+  if (guildJobs.length === 0) {
+    return interaction.reply({ content: 'No cleanups are running or queued in this server.', flags: [1 << 6] });
+  }
+  
+  const lines = guildJobs.slice(0, 20).map(job => {
+    const since = job.finishedAt || job.startedAt || job.queuedAt;
+    const verb = job.finishedAt ? 'finished' : job.startedAt ? 'started' : 'queued';
+    return `- \`${job.id}\` **${job.state}** ${job.command || 'cleanup'} in <#${job.channelId}> by <@${job.invokerId}>, ${verb} <t:${Math.floor(since / 1000)}:R>, ${job.stats.deleted} deleted`;
+  });
+  if (guildJobs.length > 20) lines.push(`- ...and ${guildJobs.length - 20} more`);
+  
+  return interaction.reply({ content: `**Cleanup jobs:**\n${lines.join('\n')}`, flags: [1 << 6] });
+}
+
+module.exports = {
+  createRunStats,
+  jobs,
+  isJobActive,
+  queueJob,
+  finishJob,
+  dropJob,
+  reportProgress,
+  recordScanned,
+  createProgressReporter,
+  statusMessageIds,
+  createStatusMessage,
+  toReplyOptions,
+  canStopRun,
+  handleCleanStop,
+  handleCleanJobs
+};
@@ -0,0 +1,162 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Options shared by the cleanup commands (content filters) and building a message filter
+ * from them.
+ */
+
+// Content filters shared by the cleanup commands. The name is used both as the
+// slash command option and as the prefix option (e.g. --bots-only)
+const FILTER_OPTIONS = [
+  { name: 'user', type: 'string', description: 'Only delete messages from these users (mentions or IDs)' },
+  { name: 'bots-only', type: 'boolean', description: 'Only delete messages sent by bots' },
+  { name: 'humans-only', type: 'boolean', description: 'Only delete messages sent by humans' },
+  { name: 'contains', type: 'string', description: 'Only delete messages containing this text (case-insensitive)' },
+  { name: 'regex', type: 'string', description: 'Only delete messages matching this regular expression' },
+  { name: 'has-link', type: 'boolean', description: 'Only delete messages containing a link' },
+  { name: 'has-attachment', type: 'boolean', description: 'Only delete messages with attachments' },
+  { name: 'has-embed', type: 'boolean', description: 'Only delete messages with embeds' },
+  { name: 'has-invite', type: 'boolean', description: 'Only delete messages containing a Discord invite' },
+  { name: 'mentions', type: 'boolean', description: 'Only delete messages that mention users, roles or everyone' }
+];
+
+// Commands that delete messages and accept the content filters and preview option
+const CLEANUP_COMMANDS = ['clean', 'cleanuntil', 'cleanrange', 'cleansince', 'cleanbetween'];
+
+// Cleanup commands that can run in several channels at once. The others target messages by
+// ID, which only makes sense in one channel
+const MULTI_CHANNEL_COMMANDS = ['clean', 'cleansince', 'cleanbetween'];
+
+const LINK_PATTERN = /https?:\/\/\S+/i;
+
+const INVITE_PATTERN = /(discord\.gg|discord(?:app)?\.com\/invite)\/[\w-]+/i;
+
+// The regex filter runs on the bot's only thread, so a slow pattern stalls every server.
+// Patterns are capped in length, and only the start of long messages is matched
+const MAX_REGEX_LENGTH = 200;
+const MAX_REGEX_INPUT = 2000;
+
+// Whether a pattern repeats a group that itself repeats, as in (a+)+ or (\w*)*, which can
+// take exponential time to fail on a message
+function hasNestedRepetition(source) {
+  // For each open group, whether something inside it repeats
+  const groups = [false];
+  let groupJustClosed = false;
+  let closedGroupRepeats = false;
+  
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    const afterGroup = groupJustClosed;
+    groupJustClosed = false;
+    
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      // Skip the character class, which can't nest anything
+      for (i++; i < source.length && source[i] !== ']'; i++) {
+        if (source[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push(false);
+      if (source[i + 1] === '?') i++; // (?: (?= (?<name> and the like
+    } else if (char === ')') {
+      closedGroupRepeats = groups.length > 1 ? groups.pop() : false;
+      if (closedGroupRepeats) groups[groups.length - 1] = true;
+      groupJustClosed = true;
+    } else if (char === '*' || char === '+' || char === '{') {
+      if (afterGroup && closedGroupRepeats) return true;
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+// Turn raw filter option values (keyed by FILTER_OPTIONS name) into a message predicate.
+// Returns null when no filter is set; throws an Error with a user-facing message on bad input
+function buildMessageFilter(values) {
+  const active = FILTER_OPTIONS.filter(option => values[option.name]);
+  if (active.length === 0) return null;
+  
+  if (values['bots-only'] && values['humans-only']) {
+    throw new Error('The bots-only and humans-only filters cannot be used together.');
+  }
+  
+  let userIds = null;
+  if (values.user) {
+    // Accept raw IDs as well as <@id> and <@!id> mentions, separated by spaces or commas
+    userIds = values.user.split(/[\s,]+/).filter(Boolean).map(user => user.replace(/^<@!?(\d+)>$/, '$1'));
+    if (userIds.some(id => !/^\d+$/.test(id))) {
+      throw new Error('The user filter only accepts user mentions or IDs.');
+    }
+  }
+  
+  let pattern = null;
+  if (values.regex) {
+    if (values.regex.length > MAX_REGEX_LENGTH) {
+      throw new Error(`The regex filter can be at most ${MAX_REGEX_LENGTH} characters long.`);
+    }
+    if (hasNestedRepetition(values.regex)) {
+      throw new Error('The regex filter repeats a group that already repeats, as in (a+)+, which can be too slow to run. Rewrite it without the nested repetition.');
+    }
+    try {
+      pattern = new RegExp(values.regex, 'i');
+    } catch (error) {
+      throw new Error(`Invalid regular expression: ${error.message}`);
+    }
+  }
+  
+  const contains = values.contains ? values.contains.toLowerCase() : null;
+  
+  // A message has to pass every filter that was set
+  const filter = msg => {
+    if (userIds && !userIds.includes(msg.author.id)) return false;
+    if (values['bots-only'] && !msg.author.bot) return false;
+    if (values['humans-only'] && msg.author.bot) return false;
+    if (contains && !msg.content.toLowerCase().includes(contains)) return false;
+    if (pattern && !pattern.test(msg.content.slice(0, MAX_REGEX_INPUT))) return false;
+    if (values['has-link'] && !LINK_PATTERN.test(msg.content)) return false;
+    if (values['has-attachment'] && msg.attachments.size === 0) return false;
+    if (values['has-embed'] && msg.embeds.length === 0) return false;
+    if (values['has-invite'] && !INVITE_PATTERN.test(msg.content)) return false;
+    if (values.mentions && !(msg.mentions.everyone || msg.mentions.users.size > 0 || msg.mentions.roles.size > 0)) return false;
+    return true;
+  };
+  
+  // Keep the settings that made up the filter so they can be shown in the audit log
+  filter.criteria = Object.fromEntries(active.map(option => [option.name, values[option.name]]));
+  return filter;
+}
+
+// Read the filter options from a slash command interaction
+function getSlashFilterValues(interaction) {
+  const values = {};
+  for (const option of FILTER_OPTIONS) {
+    values[option.name] = option.type === 'string'
+      ? interaction.options.getString(option.name)
+      : interaction.options.getBoolean(option.name);
+  }
+  return values;
+}
+
+module.exports = {
+  FILTER_OPTIONS,
+  CLEANUP_COMMANDS,
+  MULTI_CHANNEL_COMMANDS,
+  LINK_PATTERN,
+  INVITE_PATTERN,
+  buildMessageFilter,
+  getSlashFilterValues
+};
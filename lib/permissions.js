@@ -0,0 +1,164 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Authorization: who may run which command where, from authorizedUsers and /cleanperm rules.
+ */
+
+const { PermissionsBitField } = require('discord.js');
+const { config } = require('./config');
+const { POLICY_PERMISSIONS } = require('./config-schema');
+const { readDataFile, writeDataFile } = require('./storage');
+
+// Commands that can delete an unlimited number of messages. Rules with a maxAmount don't cover them
+const UNBOUNDED_COMMANDS = ['cleanuntil', 'cleanrange', 'cleansince', 'cleanbetween', 'purgeuser', 'retention'];
+
+// Commands any member may run, as they only delete the member's own messages. Deny rules
+// still apply to them, so moderators can switch them off per server, channel or role
+const SELF_SERVICE_COMMANDS = ['cleanmine'];
+
+// Authorization rules added at runtime with /cleanperm
+let permissionStore = readDataFile('permissions.json', { nextId: 1, rules: [] });
+
+// All rules in effect: those from config.json followed by those added with /cleanperm
+function getPermissionRules() {
+  const configRules = config.permissionRules.map((rule, index) => ({ ...rule, id: `config-${index + 1}`, fromConfig: true }));
+  return [...configRules, ...permissionStore.rules];
+}
+
+// Check whether a rule's subject (user, role, permission, or everyone) matches a member
+function ruleMatchesMember(rule, member, channel) {
+  if (rule.userId) return member.id === rule.userId;
+  if (rule.roleId) return member.roles.cache.has(rule.roleId);
+  if (rule.permission) return member.permissionsIn(channel).has(PermissionsBitField.Flags[rule.permission]);
+  return true; // No subject means everyone
+}
+
+// Decide whether a member may run a command in a channel.
+// Returns { allowed, maxAmount, reason }, where a null maxAmount means no limit
+function checkAuthorization(member, channel, command) {
+  // Users listed in authorizedUsers are bot owners and are never restricted
+  if (config.authorizedUsers.includes(member.id)) {
+    return { allowed: true, maxAmount: null };
+  }
+  
+  const matching = getPermissionRules().filter(rule =>
+    (!rule.guildId || rule.guildId === channel.guildId) &&
+    (!rule.channelId || rule.channelId === channel.id) &&
+    (!rule.commands || rule.commands.length === 0 || rule.commands.includes(command)) &&
+    ruleMatchesMember(rule, member, channel)
+  );
+  
+  // Any matching deny rule wins over allow rules
+  if (matching.some(rule => rule.effect === 'deny')) {
+    return { allowed: false, reason: 'You are not allowed to use this command here.' };
+  }
+  
+  if (SELF_SERVICE_COMMANDS.includes(command)) {
+    return { allowed: true, maxAmount: null };
+  }
+  
+  let allows = matching.filter(rule => rule.effect === 'allow');
+  if (UNBOUNDED_COMMANDS.includes(command)) {
+    allows = allows.filter(rule => !rule.maxAmount);
+  }
+  
+  if (allows.length === 0) {
+    return { allowed: false, reason: 'You are not authorized to use this bot.' };
+  }
+  
+  // The most generous matching rule applies
+  const maxAmount = allows.some(rule => !rule.maxAmount) ? null : Math.max(...allows.map(rule => rule.maxAmount));
+  return { allowed: true, maxAmount };
+}
+
+// Describe a rule in one line for /cleanperm list
+function describeRule(rule) {
+  let subject = 'everyone';
+  if (rule.userId) subject = `<@${rule.userId}>`;
+  else if (rule.roleId) subject = `<@&${rule.roleId}>`;
+  else if (rule.permission) subject = `anyone with ${rule.permission}`;
+  
+  const parts = [`\`${rule.id}\` **${rule.effect}** ${subject}`];
+  parts.push(rule.channelId ? `in <#${rule.channelId}>` : (rule.guildId ? 'in this server' : 'in every server'));
+  if (rule.commands && rule.commands.length > 0) parts.push(`for ${rule.commands.map(name => `\`${name}\``).join(', ')}`);
+  if (rule.maxAmount) parts.push(`(max ${rule.maxAmount} messages)`);
+  if (rule.fromConfig) parts.push('*(config.json)*');
+  return parts.join(' ');
+}
+
+// Handle the /cleanperm subcommands for managing authorization rules at runtime
+async function handleCleanPerm(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+  
+  if (subcommand === 'list') {
+    const rules = getPermissionRules().filter(rule => !rule.guildId || rule.guildId === interaction.guildId);
+    return interaction.reply({
+      content: rules.length > 0
+        ? `**Permission rules:**\n${rules.map(describeRule).join('\n')}`
+        : 'There are no permission rules for this server. Only users listed in authorizedUsers can use the bot.',
+      flags: [1 << 6]
+    });
+  }
+  
+  if (subcommand === 'remove') {
+    const id = interaction.options.getString('id').replace(/^#/, '');
+    const rule = permissionStore.rules.find(existing => existing.id === id && existing.guildId === interaction.guildId);
+    if (!rule) {
+      return interaction.reply({
+        content: `No rule \`${id}\` found for this server. Rules from config.json can only be changed in the file.`,
+        flags: [1 << 6]
+      });
+    }
+    
+    permissionStore.rules = permissionStore.rules.filter(existing => existing !== rule);
+    writeDataFile('permissions.json', permissionStore);
+    return interaction.reply({ content: `Removed rule: ${describeRule(rule)}`, flags: [1 << 6] });
+  }
+  
+  // subcommand === 'allow' or 'deny'
+  const user = interaction.options.getUser('user');
+  const role = interaction.options.getRole('role');
+  const permission = interaction.options.getString('permission');
+  if ([user, role, permission].filter(Boolean).length > 1) {
+    return interaction.reply({ content: 'Please choose at most one of user, role or permission.', flags: [1 << 6] });
+  }
+  
+  const channel = interaction.options.getChannel('channel');
+  const command = interaction.options.getString('command');
+  const maxAmount = interaction.options.getInteger('max-amount');
+  
+  const rule = {
+    id: String(permissionStore.nextId++),
+    effect: subcommand,
+    guildId: interaction.guildId
+  };
+  if (user) rule.userId = user.id;
+  if (role) rule.roleId = role.id;
+  if (permission) rule.permission = permission;
+  if (channel) rule.channelId = channel.id;
+  if (command) rule.commands = [command];
+  if (maxAmount && subcommand === 'allow') rule.maxAmount = maxAmount;
+  
+  permissionStore.rules.push(rule);
+  writeDataFile('permissions.json', permissionStore);
+  return interaction.reply({ content: `Added rule: ${describeRule(rule)}`, flags: [1 << 6] });
+}
+
+module.exports = {
+  POLICY_PERMISSIONS,
+  checkAuthorization,
+  handleCleanPerm
+};
@@ -0,0 +1,65 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Handling prefix (text) commands.
+ */
+
+const { getGuildSettings } = require('./guild-settings');
+const { findPrefixCommand } = require('./commands');
+const { checkCommandAccess, createPrefixContext, parseCommandLine, runCommand } = require('./registry');
+const { checkAutoMod } = require('./automod');
+
+// Message event handler for prefix commands (!)
+async function handleMessage(message) {
+  // Ignore messages from bots, and DMs: there is no server to clean
+  if (message.author.bot || !message.inGuild()) return;
+  
+  // Check for spam before looking for commands
+  if (await checkAutoMod(message)) return;
+  
+  // Ignore messages that don't start with the server's prefix
+  const settings = getGuildSettings(message.guildId);
+  if (!message.content.startsWith(settings.prefix)) return;
+  
+  // Split off the command name, by itself or one of its aliases
+  const text = message.content.slice(settings.prefix.length).trim();
+  const [word] = text.split(/\s+/, 1);
+  const command = findPrefixCommand(word);
+  if (!command) return;
+  
+  // Check the member may use it and the bot has the permissions it needs
+  const access = checkCommandAccess(command, message.member, message.channel, message.guild);
+  if (!access.allowed) {
+    return message.reply(access.reason);
+  }
+  
+  let parsed;
+  try {
+    parsed = await parseCommandLine(command, text.slice(word.length), {
+      guild: message.guild,
+      client: message.client,
+      prefix: settings.prefix
+    });
+  } catch (error) {
+    return message.reply(error.message);
+  }
+  
+  await runCommand(createPrefixContext(message, command, parsed), command, access.auth);
+}
+
+module.exports = {
+  handleMessage
+};
@@ -0,0 +1,110 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Protection rules: messages that every cleanup leaves alone.
+ */
+
+const { PermissionsBitField } = require('discord.js');
+const { config } = require('./config');
+const { getGuildSettings } = require('./guild-settings');
+
+// How each protection rule is described in replies, keyed by the name used in the audit log
+const PROTECTION_REASONS = {
+  pinned: 'pinned',
+  reaction: 'marked with a protected reaction',
+  user: 'from a protected user',
+  role: 'from a protected role',
+  age: 'too new'
+};
+
+// Which protection rule keeps a message from being deleted, or null if none does.
+// `override` is true to ignore every rule, or a list of rule names to ignore. `members` maps
+// author IDs to members looked up by fetchAuthorMembers, for messages that have none attached
+function getProtectionReason(msg, override, members = new Map()) {
+  if (override === true) return null;
+  const protection = config.protection;
+  const active = rule => !(override && override.includes(rule));
+  
+  if (active('pinned') && protection.pinned && msg.pinned) return 'pinned';
+  if (active('reaction') && protection.reactions.length > 0 &&
+      msg.reactions.cache.some(reaction => protection.reactions.includes(reaction.emoji.id || reaction.emoji.name))) {
+    return 'reaction';
+  }
+  if (active('user') && protection.users.includes(msg.author.id)) return 'user';
+  if (active('role') && !msg.webhookId) {
+    const protectedRoles = getGuildSettings(msg.guildId).protectedRoles;
+    const member = msg.member || members.get(msg.author.id);
+    // An author whose roles couldn't be looked up might hold a protected role, so err on keeping
+    // the message. null means the author has left the server and has no roles
+    if (protectedRoles.length > 0 && member === undefined) return 'role';
+    if (member && member.roles.cache.some(role => protectedRoles.includes(role.id))) return 'role';
+  }
+  if (active('age') && protection.minAgeSeconds > 0 && Date.now() - msg.createdTimestamp < protection.minAgeSeconds * 1000) return 'age';
+  return null;
+}
+
+// Look up the members behind messages that have none attached, so the role rule can see their
+// roles: messages fetched from history only carry a member if it's already cached. Returns a
+// Map of author ID to member, or to null for authors who have left the server. Authors whose
+// lookup failed are left out
+async function fetchAuthorMembers(messages, override) {
+  const members = new Map();
+  const first = messages.first();
+  if (!first || override === true || (override && override.includes('role'))) return members;
+  if (getGuildSettings(first.guildId).protectedRoles.length === 0) return members;
+  
+  const looked = new Set();
+  for (const msg of messages.values()) {
+    if (msg.member || msg.webhookId || looked.has(msg.author.id)) continue;
+    looked.add(msg.author.id);
+    try {
+      members.set(msg.author.id, await msg.guild.members.fetch(msg.author.id));
+    } catch (error) {
+      if (error.code === 10007) members.set(msg.author.id, null); // Unknown Member
+    }
+  }
+  return members;
+}
+
+// Split messages into those that may be deleted and a count of the protected ones by reason
+async function splitProtected(messages, override) {
+  const members = await fetchAuthorMembers(messages, override);
+  const protectedCounts = {};
+  const deletable = messages.filter(msg => {
+    const reason = getProtectionReason(msg, override, members);
+    if (reason) protectedCounts[reason] = (protectedCounts[reason] || 0) + 1;
+    return !reason;
+  });
+  return { deletable, protectedCounts };
+}
+
+// Describe protected message counts for a reply, e.g. "3 pinned, 1 too new"
+function describeProtected(protectedCounts) {
+  return Object.entries(protectedCounts).map(([reason, count]) => `${count} ${PROTECTION_REASONS[reason]}`).join(', ');
+}
+
+// Only the bot's owners and server administrators may delete protected messages
+function canOverrideProtection(member, channel) {
+  return config.authorizedUsers.includes(member.id) ||
+    member.permissionsIn(channel).has(PermissionsBitField.Flags.Administrator);
+}
+
+module.exports = {
+  getProtectionReason,
+  splitProtected,
+  describeProtected,
+  canOverrideProtection
+};
@@ -0,0 +1,241 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Registering the slash and right-click commands with Discord: globally, or in the servers
+ * listed in devGuilds where changes show up instantly. The commands Discord already has are
+ * compared with ours first, so they are only written when something changed. Also runs the
+ * deploy-commands script.
+ */
+
+const { ApplicationCommandType, Routes } = require('discord.js');
+const { config } = require('./config');
+const { applicationCommands } = require('./commands');
+
+// Option fields that are compared as they are when set
+const OPTION_FIELDS = ['min_value', 'max_value', 'min_length', 'max_length'];
+
+// The fields of a command option that matter, in a fixed shape. Discord leaves out fields
+// that have their default value, while the builders send them as undefined or false
+function normalizeOption(option) {
+  const normalized = {
+    type: option.type,
+    name: option.name,
+    description: option.description,
+    required: option.required || false
+  };
+  for (const field of OPTION_FIELDS) {
+    if (option[field] !== undefined && option[field] !== null) normalized[field] = option[field];
+  }
+  if (option.choices && option.choices.length > 0) {
+    normalized.choices = option.choices.map(({ name, value }) => ({ name, value }));
+  }
+  if (option.channel_types && option.channel_types.length > 0) {
+    normalized.channel_types = [...option.channel_types].sort((a, b) => a - b);
+  }
+  if (option.autocomplete) normalized.autocomplete = true;
+  if (option.options && option.options.length > 0) normalized.options = option.options.map(normalizeOption);
+  return normalized;
+}
+
+// The fields of a command that matter, so ours and the registered ones can be compared
+function normalizeCommand(command) {
+  return {
+    type: command.type || ApplicationCommandType.ChatInput,
+    name: command.name,
+    description: command.description || '',
+    default_member_permissions: command.default_member_permissions ?? null,
+    nsfw: command.nsfw || false,
+    contexts: command.contexts ?? null,
+    options: (command.options || []).map(normalizeOption)
+  };
+}
+
+// The command data to register
+function getCommandData() {
+  return applicationCommands.map(command => command.toJSON());
+}
+
+// Compare our commands with the registered ones. Commands are matched by type and name.
+// Returns the names of the { added, changed, removed } commands
+function diffCommands(local, registered) {
+  const key = command => `${command.type || ApplicationCommandType.ChatInput}:${command.name}`;
+  const remote = new Map(registered.map(command => [key(command), command]));
+  const diff = { added: [], changed: [], removed: [] };
+
+  for (const command of local) {
+    const existing = remote.get(key(command));
+    remote.delete(key(command));
+    if (!existing) {
+      diff.added.push(command.name);
+    } else if (JSON.stringify(normalizeCommand(command)) !== JSON.stringify(normalizeCommand(existing))) {
+      diff.changed.push(command.name);
+    }
+  }
+  diff.removed = [...remote.values()].map(command => command.name);
+  return diff;
+}
+
+// True when the diff has no differences
+function isUpToDate(diff) {
+  return diff.added.length === 0 && diff.changed.length === 0 && diff.removed.length === 0;
+}
+
+// Summarize a diff, e.g. "1 added (cleanmine), 2 changed (clean, help)"
+function describeDiff(diff) {
+  const parts = ['added', 'changed', 'removed']
+    .filter(kind => diff[kind].length > 0)
+    .map(kind => `${diff[kind].length} ${kind} (${diff[kind].join(', ')})`);
+  return parts.length > 0 ? parts.join(', ') : 'no changes';
+}
+
+// The API route for the global commands, or those of one server
+function commandsRoute(applicationId, guildId = null) {
+  return guildId ? Routes.applicationGuildCommands(applicationId, guildId) : Routes.applicationCommands(applicationId);
+}
+
+// Where commands are registered, for messages
+function describeTarget(guildId) {
+  return guildId ? `in server ${guildId}` : 'globally';
+}
+
+// Register our commands globally or in one server if they differ from the registered ones,
+// or always with force. Returns the diff and whether anything was written
+async function syncCommands(rest, applicationId, guildId = null, { force = false } = {}) {
+  const route = commandsRoute(applicationId, guildId);
+  const local = getCommandData();
+  const diff = diffCommands(local, await rest.get(route));
+  if (isUpToDate(diff) && !force) return { ...diff, updated: false };
+
+  await rest.put(route, { body: local });
+  return { ...diff, updated: true };
+}
+
+// Register the commands when the bot starts: in each of the devGuilds if any are set,
+// where changes apply instantly, otherwise globally
+async function registerCommands(client) {
+  const guildIds = config.devGuilds.length > 0 ? config.devGuilds : [null];
+  for (const guildId of guildIds) {
+    try {
+      const result = await syncCommands(client.rest, client.application.id, guildId);
+      if (result.updated) {
+        console.log(`Registered slash commands ${describeTarget(guildId)}: ${describeDiff(result)}.`);
+      } else {
+        console.log(`Slash commands ${describeTarget(guildId)} are up to date.`);
+      }
+    } catch (error) {
+      console.error(`Error registering slash commands ${describeTarget(guildId)}:`, error);
+    }
+  }
+}
+
+const DEPLOY_USAGE = `Usage: npm run deploy-commands -- <command> [options]
+
+Commands:
+  register [--global] [--guild <id>]... [--force]
+      Register the commands if they changed (where the bot would: devGuilds, or globally)
+  list [--global] [--guild <id>]...
+      List the registered commands
+  clear (--global | --guild <id>...)
+      Remove every registered command
+
+Options:
+  --global      Globally, as seen in every server (may take up to an hour to show up)
+  --guild <id>  In this server only, where changes show up instantly. Can be repeated
+  --force       Register even if nothing changed
+`;
+
+const DEPLOY_COMMANDS = ['register', 'list', 'clear'];
+
+// Parse the deploy-commands arguments into { command, global, guildIds, force }. Throws an
+// Error with a user-facing message on invalid input
+function parseDeployArgs(argv) {
+  const parsed = { command: null, global: false, guildIds: [], force: false, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      if (parsed.command) throw new Error(`Unexpected argument "${arg}".`);
+      if (!DEPLOY_COMMANDS.includes(arg)) throw new Error(`Unknown command "${arg}".`);
+      parsed.command = arg;
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (name === 'guild') {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (!value || !/^\d+$/.test(value)) throw new Error('The --guild option takes a server ID.');
+      parsed.guildIds.push(value);
+    } else if (['global', 'force', 'help'].includes(name)) {
+      if (inlineValue !== undefined) throw new Error(`The --${name} option does not take a value.`);
+      parsed[name] = true;
+    } else {
+      throw new Error(`Unknown option --${name}.`);
+    }
+  }
+
+  if (parsed.help) return parsed;
+  if (!parsed.command) throw new Error('Please give a command.');
+  if (parsed.force && parsed.command !== 'register') throw new Error(`The ${parsed.command} command does not take --force.`);
+  // Clearing the wrong place is easy to do and slow to undo, so it has to be named
+  if (parsed.command === 'clear' && !parsed.global && parsed.guildIds.length === 0) {
+    throw new Error('Say which commands to clear with --global or --guild <id>.');
+  }
+  return parsed;
+}
+
+// Where a deploy command applies: the given targets, or where the bot registers its commands
+function deployTargets(parsed) {
+  const targets = [...parsed.guildIds];
+  if (parsed.global) targets.unshift(null);
+  if (targets.length > 0) return targets;
+  return config.devGuilds.length > 0 ? [...config.devGuilds] : [null];
+}
+
+// Run a parsed deploy command with a REST client that has the bot's token.
+// Returns the text to print
+async function runDeployCommand(rest, applicationId, parsed) {
+  const lines = [];
+  for (const guildId of deployTargets(parsed)) {
+    const route = commandsRoute(applicationId, guildId);
+
+    if (parsed.command === 'register') {
+      const result = await syncCommands(rest, applicationId, guildId, { force: parsed.force });
+      lines.push(result.updated
+        ? `Registered ${applicationCommands.length} commands ${describeTarget(guildId)}: ${describeDiff(result)}.`
+        : `Commands ${describeTarget(guildId)} are up to date.`);
+    } else if (parsed.command === 'list') {
+      const registered = await rest.get(route);
+      const diff = diffCommands(getCommandData(), registered);
+      lines.push(`${registered.length} commands registered ${describeTarget(guildId)}${isUpToDate(diff) ? '' : ` (differs from this version: ${describeDiff(diff)})`}:`);
+      lines.push(...registered.map(command => `  ${command.name}${command.description ? ` - ${command.description}` : ''}`));
+    } else {
+      await rest.put(route, { body: [] });
+      lines.push(`Cleared the commands registered ${describeTarget(guildId)}.`);
+    }
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEPLOY_USAGE,
+  normalizeCommand,
+  diffCommands,
+  describeDiff,
+  syncCommands,
+  registerCommands,
+  parseDeployArgs,
+  runDeployCommand
+};
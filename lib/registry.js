@@ -0,0 +1,512 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * The command registry: turns one command definition into a slash or right-click command,
+ * a prefix command parser and help pages, and runs either kind through the same handler.
+ *
+ * A definition looks like:
+ *
+ *   {
+ *     name: 'clean',
+ *     description: 'Delete a specified number of recent messages',
+ *     aliases: ['clear'],              // Other names for the prefix command
+ *     options: [{ name: 'amount', type: 'integer', description: '...', required: true, positional: true }],
+ *     subcommands: [{ name, description, options }],  // Instead of options
+ *     contextMenu: 'message',          // 'message' or 'user' for right-click commands
+ *     policy: 'cleanuntil',            // Authorization rule command name (default: the name)
+ *     botPermissions: ['ManageMessages'],
+ *     details: '...', examples: ['...'],  // For the help page
+ *     handler: async (interaction) => { ... }
+ *   }
+ *
+ * Option types are string, integer, number, boolean, user, role and channel. Options may also
+ * have choices, min, max, channelTypes, positional (prefix: may be given without its name, in
+ * order) and flags (other prefix names, e.g. dry-run for preview).
+ *
+ * Handlers get the interaction for slash and right-click commands, and for prefix commands a
+ * context that offers the same parts of its API: options.get*(), reply(), deferReply(),
+ * editReply(), followUp(), and the guild, channel, member and user. Both also carry the
+ * member's authorization, the server settings, audit details, onProgress for cleanup status
+ * updates and respond() for a cleanup's final reply.
+ */
+
+const {
+  ApplicationCommandType,
+  ContextMenuCommandBuilder,
+  InteractionContextType,
+  PermissionsBitField,
+  SlashCommandBuilder
+} = require('discord.js');
+const { checkAuthorization } = require('./permissions');
+const { getGuildSettings } = require('./guild-settings');
+const { createProgressReporter, createStatusMessage, toReplyOptions } = require('./jobs');
+
+// Builder method for each option type
+const SLASH_OPTION_METHODS = {
+  string: 'addStringOption',
+  integer: 'addIntegerOption',
+  number: 'addNumberOption',
+  boolean: 'addBooleanOption',
+  user: 'addUserOption',
+  role: 'addRoleOption',
+  channel: 'addChannelOption'
+};
+
+// How each option type is described in help pages
+const TYPE_NAMES = {
+  string: 'text',
+  integer: 'whole number',
+  number: 'number',
+  boolean: 'true/false',
+  user: 'user',
+  role: 'role',
+  channel: 'channel'
+};
+
+const BOOLEAN_WORDS = {
+  true: true, yes: true, on: true, 1: true,
+  false: false, no: false, off: false, 0: false
+};
+
+// Discord rejects messages longer than this
+const MAX_MESSAGE_LENGTH = 2000;
+
+// Add option definitions to a slash command or subcommand builder
+function addSlashOptions(builder, options) {
+  for (const option of options) {
+    builder[SLASH_OPTION_METHODS[option.type]](slashOption => {
+      slashOption.setName(option.name).setDescription(option.description);
+      if (option.required) slashOption.setRequired(true);
+      if (option.min !== undefined) slashOption.setMinValue(option.min);
+      if (option.max !== undefined) slashOption.setMaxValue(option.max);
+      if (option.channelTypes) slashOption.addChannelTypes(...option.channelTypes);
+      if (option.choices) slashOption.addChoices(...option.choices);
+      return slashOption;
+    });
+  }
+  return builder;
+}
+
+// Build the slash or right-click command Discord registers for a definition. Every command
+// works on a server's channels and members, so none are offered in DMs
+function buildApplicationCommand(command) {
+  if (command.contextMenu) {
+    return new ContextMenuCommandBuilder()
+      .setName(command.name)
+      .setType(command.contextMenu === 'user' ? ApplicationCommandType.User : ApplicationCommandType.Message)
+      .setContexts(InteractionContextType.Guild);
+  }
+
+  const builder = new SlashCommandBuilder()
+    .setName(command.name)
+    .setDescription(command.description)
+    .setContexts(InteractionContextType.Guild);
+  for (const subcommand of command.subcommands || []) {
+    builder.addSubcommand(slashSubcommand => addSlashOptions(
+      slashSubcommand.setName(subcommand.name).setDescription(subcommand.description),
+      subcommand.options || []
+    ));
+  }
+  return addSlashOptions(builder, command.options || []);
+}
+
+// Split a prefix command line into words. Double or single quotes (including the curly ones
+// phone keyboards type) keep spaces inside a word, as in contains:"free nitro". A quote only
+// opens at the start of a word or right after : or =, so apostrophes as in don't stay text
+function tokenize(text) {
+  const tokens = [];
+  let token = null;
+  let quote = null;
+  const closing = { '"': '"', '\'': '\'', '“': '”', '‘': '’' };
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+      else token.text += char;
+    } else if (closing[char] && (!token || (!token.quoted && /[:=]$/.test(token.text)))) {
+      token = token || { text: '', raw: '', quoted: false };
+      token.quoted = true;
+      quote = closing[char];
+    } else if (/\s/.test(char)) {
+      if (token) tokens.push(token);
+      token = null;
+      continue;
+    } else {
+      token = token || { text: '', raw: '', quoted: false };
+      token.text += char;
+    }
+    // The raw text up to the first quote tells flags and key:value options from plain words
+    if (!token.quoted) token.raw = token.text;
+  }
+  if (quote) throw new Error('A quoted value is missing its closing quote.');
+  if (token) tokens.push(token);
+  return tokens;
+}
+
+// Find an option by its name or one of its prefix flag names
+function findOption(options, name) {
+  const lower = name.toLowerCase();
+  return options.find(option => option.name === lower || (option.flags || []).includes(lower));
+}
+
+// Extract an ID from a mention such as <@123>, <@&123> or <#123>, or a bare ID
+function parseMention(text, pattern) {
+  const match = text.match(pattern);
+  return match ? match[1] : null;
+}
+
+// Convert a prefix argument to an option's type, resolving users, roles and channels.
+// Throws an Error with a user-facing message if the text doesn't fit
+async function convertValue(option, text, { guild, client }) {
+  if (option.type === 'boolean') {
+    const word = text.toLowerCase();
+    if (!Object.hasOwn(BOOLEAN_WORDS, word)) throw new Error(`The ${option.name} option takes true or false.`);
+    return BOOLEAN_WORDS[word];
+  }
+
+  if (option.type === 'integer' || option.type === 'number') {
+    const pattern = option.type === 'integer' ? /^-?\d+$/ : /^-?\d+(\.\d+)?$/;
+    const value = pattern.test(text) ? Number(text) : NaN;
+    const inRange = !isNaN(value) && (option.min === undefined || value >= option.min) && (option.max === undefined || value <= option.max);
+    if (!inRange) {
+      const kind = option.type === 'integer' ? 'a whole number' : 'a number';
+      const range = option.min !== undefined && option.max !== undefined ? ` between ${option.min} and ${option.max}`
+        : option.min !== undefined ? ` of at least ${option.min}` : '';
+      throw new Error(`The ${option.name} option takes ${kind}${range}.`);
+    }
+    return value;
+  }
+
+  if (option.type === 'user') {
+    const id = parseMention(text, /^(?:<@!?)?(\d+)>?$/);
+    const member = id && guild.members.cache.get(id);
+    if (member) return member.user;
+    try {
+      if (id) return await client.users.fetch(id);
+    } catch (error) {
+      // Unknown user: reported below
+    }
+    throw new Error(`The ${option.name} option takes a user mention or ID.`);
+  }
+
+  if (option.type === 'role') {
+    const id = parseMention(text, /^(?:<@&)?(\d+)>?$/);
+    const role = id && guild.roles.cache.get(id);
+    if (!role) throw new Error(`The ${option.name} option takes a role mention or ID.`);
+    return role;
+  }
+
+  if (option.type === 'channel') {
+    const id = parseMention(text, /^(?:<#)?(\d+)>?$/);
+    const channel = id && guild.channels.cache.get(id);
+    if (!channel || (option.channelTypes && !option.channelTypes.includes(channel.type))) {
+      throw new Error(`The ${option.name} option takes a channel mention or ID.`);
+    }
+    return channel;
+  }
+
+  if (option.choices) {
+    const choice = option.choices.find(candidate =>
+      String(candidate.value).toLowerCase() === text.toLowerCase() || candidate.name.toLowerCase() === text.toLowerCase()
+    );
+    if (!choice) throw new Error(`The ${option.name} option takes one of: ${option.choices.map(candidate => candidate.value).join(', ')}.`);
+    return choice.value;
+  }
+  return text;
+}
+
+// Usage line for a prefix command, e.g. "!clean <amount> [options]"
+function describePrefixUsage(command, prefix, subcommand = null) {
+  const options = subcommand ? subcommand.options || [] : command.options || [];
+  const parts = [`${prefix}${command.name}`];
+  if (subcommand) parts.push(subcommand.name);
+  else if (command.subcommands) parts.push(command.subcommands.map(sub => sub.name).join('|'));
+  for (const option of options.filter(candidate => candidate.positional)) {
+    parts.push(option.required ? `<${option.name}>` : `[${option.name}]`);
+  }
+  if (options.some(option => !option.positional)) parts.push('[options]');
+  return parts.join(' ');
+}
+
+// Parse the arguments of a prefix command. Options can be given as name:value or
+// --name value, switches as --name, and positional options without their name, in order.
+// Text options given as --name take every following word up to the next option, so
+// --contains free nitro works without quotes. Returns { subcommand, values }; throws an Error
+// with a user-facing message on invalid input
+async function parseCommandLine(command, text, { guild, client, prefix }) {
+  const tokens = tokenize(text);
+
+  let options = command.options || [];
+  let subcommand = null;
+  if (command.subcommands) {
+    const name = tokens.length > 0 ? tokens.shift().text.toLowerCase() : null;
+    subcommand = command.subcommands.find(candidate => candidate.name === name);
+    if (!subcommand) {
+      throw new Error(`Please choose one of: ${command.subcommands.map(candidate => candidate.name).join(', ')}. Usage: \`${describePrefixUsage(command, prefix)}\``);
+    }
+    options = subcommand.options || [];
+  }
+
+  // Words that start an option rather than continue a value
+  const optionAt = token => {
+    if (token.quoted && !token.raw.includes(':')) return null;
+    if (token.raw.startsWith('--')) return { flag: true };
+    const match = token.raw.match(/^([\w-]+):/);
+    return match && findOption(options, match[1]) ? { flag: false } : null;
+  };
+
+  const found = {};
+  const positional = options.filter(option => option.positional);
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const kind = optionAt(token);
+    let option;
+    let words;
+
+    if (kind && kind.flag) {
+      const [name, inlineValue] = token.text.slice(2).split(/=(.*)/s);
+      option = findOption(options, name);
+      if (!option) throw new Error(`Unknown option --${name}.`);
+      if (inlineValue !== undefined) {
+        words = [inlineValue];
+      } else if (option.type === 'boolean') {
+        words = ['true'];
+      } else {
+        // Text takes every word up to the next option; other types take one word
+        words = [];
+        while (i + 1 < tokens.length && !optionAt(tokens[i + 1]) && (option.type === 'string' || words.length === 0)) {
+          words.push(tokens[++i].text);
+        }
+        if (words.length === 0) throw new Error(`The --${option.name} option needs a value.`);
+      }
+    } else if (kind) {
+      const separator = token.text.indexOf(':');
+      option = findOption(options, token.text.slice(0, separator));
+      words = [token.text.slice(separator + 1)];
+      if (words[0] === '') throw new Error(`The ${option.name} option needs a value.`);
+    } else {
+      option = positional.find(candidate => !(candidate.name in found));
+      if (!option) throw new Error(`Unexpected argument "${token.text}".`);
+      words = [token.text];
+    }
+
+    if (option.name in found) throw new Error(`The ${option.name} option was given twice.`);
+    found[option.name] = words.join(' ');
+  }
+
+  const missing = options.find(option => option.required && !(option.name in found));
+  if (missing) {
+    throw new Error(`Please provide the ${missing.name} option. Usage: \`${describePrefixUsage(command, prefix, subcommand)}\``);
+  }
+
+  const values = {};
+  for (const [name, text] of Object.entries(found)) {
+    values[name] = await convertValue(options.find(option => option.name === name), text, { guild, client });
+  }
+  return { subcommand: subcommand ? subcommand.name : null, values };
+}
+
+// Check whether a member may run a command here and the bot has the permissions it needs.
+// Returns { allowed, auth } or { allowed: false, reason }
+function checkCommandAccess(command, member, channel, guild) {
+  const auth = checkAuthorization(member, channel, command.policy || command.name);
+  if (!auth.allowed) return { allowed: false, reason: auth.reason };
+
+  const missing = (command.botPermissions || ['ManageMessages'])
+    .filter(permission => !guild.members.me.permissions.has(PermissionsBitField.Flags[permission]));
+  if (missing.includes('ManageMessages')) {
+    return { allowed: false, reason: 'I need "Manage Messages" permission to delete messages.' };
+  }
+  if (missing.length > 0) {
+    return { allowed: false, reason: `I need the ${missing.map(permission => `"${permission}"`).join(', ')} permission to do that.` };
+  }
+  return { allowed: true, auth };
+}
+
+// Prefix replies are posted in the channel: ephemeral flags don't apply to them
+function toMessagePayload(payload) {
+  if (typeof payload === 'string') return payload;
+  const { flags, ephemeral, fetchReply, ...rest } = payload;
+  return rest;
+}
+
+// The interaction-like context a prefix command's handler runs with
+function createPrefixContext(message, command, { subcommand, values }) {
+  const get = name => (values[name] === undefined ? null : values[name]);
+  const status = createStatusMessage(message.channel);
+  let commandDeleted = false;
+
+  return {
+    commandName: command.name,
+    source: 'prefix',
+    message,
+    client: message.client,
+    guild: message.guild,
+    guildId: message.guildId,
+    channel: message.channel,
+    channelId: message.channelId,
+    member: message.member,
+    user: message.author,
+    options: {
+      data: Object.entries(values).map(([name, value]) => ({ name, value: value && value.id ? value.id : value })),
+      getString: get,
+      getInteger: get,
+      getNumber: get,
+      getBoolean: get,
+      getUser: get,
+      getRole: get,
+      getChannel: get,
+      getSubcommand: () => subcommand
+    },
+    // Answer the command message, or post in the channel once it has been deleted
+    reply: async payload => (commandDeleted
+      ? message.channel.send(toMessagePayload(payload))
+      : message.reply(toMessagePayload(payload))),
+    // Long-running commands remove the command message, like the slash version's deferred reply
+    deferReply: async () => {
+      commandDeleted = true;
+      await message.delete().catch(() => {
+        // Silently ignore deletion errors
+      });
+    },
+    // Edits go to a status message, posted on the first one
+    editReply: async payload => status.update(toMessagePayload(payload)),
+    followUp: async payload => message.channel.send(toMessagePayload(payload)),
+    // A cleanup's final reply replaces the status message and is removed after the
+    // confirmation timeout, unless it is a preview waiting for Confirm or Cancel
+    respond: async response => {
+      status.remove();
+      try {
+        const reply = await message.channel.send(response);
+        if (response.components && response.components.length > 0) return;
+        setTimeout(() => {
+          reply.delete().catch(() => {
+            // Silently ignore deletion errors
+          });
+        }, getGuildSettings(message.guildId).deleteConfirmationTimeout);
+      } catch (error) {
+        console.error('Error sending confirmation message:', error);
+      }
+    }
+  };
+}
+
+// Add what every handler needs to a slash or right-click interaction
+function createSlashContext(interaction) {
+  return Object.assign(interaction, {
+    source: interaction.isChatInputCommand() ? 'slash' : 'context-menu',
+    respond: response => interaction.editReply(toReplyOptions(response))
+  });
+}
+
+// Run a command's handler once access has been checked. Unexpected errors are logged, and
+// the user is told the command failed rather than left with a reply that never comes
+async function runCommand(context, command, auth) {
+  context.auth = auth;
+  context.settings = getGuildSettings(context.guildId);
+  // Who ran what, recorded in the audit log for every cleanup
+  context.audit = {
+    invokerId: context.user.id,
+    command: command.name,
+    source: context.source,
+    args: Object.fromEntries(context.options.data.map(option => [option.name, option.value]))
+  };
+  // Long cleanups show their progress, with a Cancel button, in the reply
+  context.onProgress = createProgressReporter(payload => context.editReply(payload));
+
+  try {
+    await command.handler(context);
+  } catch (error) {
+    console.error(`Error in ${command.name} command:`, error);
+    const payload = { content: 'Something went wrong running that command.', flags: [1 << 6] };
+    const send = context.deferred || context.replied ? context.editReply(payload) : context.reply(payload);
+    await send.catch(() => {
+      // Silently ignore errors: the interaction may have expired
+    });
+  }
+}
+
+// One line per option for a help page
+function describeOptions(options) {
+  return options.map(option => {
+    const notes = [TYPE_NAMES[option.type]];
+    if (option.required) notes.push('required');
+    if (option.choices) notes.push(option.choices.map(choice => choice.value).join('/'));
+    const flags = (option.flags || []).map(flag => ` (or \`--${flag}\`)`).join('');
+    return `- \`${option.name}\`${flags} (${notes.join(', ')}): ${option.description}`;
+  });
+}
+
+// The help page for one command: how to run it as a slash and prefix command, and its options
+function describeCommandHelp(command, prefix) {
+  if (command.contextMenu) {
+    return `**${command.name}** (right-click a ${command.contextMenu}, then **Apps**)\n${command.description}`;
+  }
+
+  const aliases = (command.aliases || []).map(alias => `\`${prefix}${alias}\``).join(', ');
+  const lines = [
+    `**/${command.name}** - ${command.description}`,
+    `Prefix: \`${describePrefixUsage(command, prefix)}\`${aliases ? ` (also ${aliases})` : ''}`
+  ];
+  if (command.details) lines.push('', command.details);
+
+  if (command.subcommands) {
+    for (const subcommand of command.subcommands) {
+      lines.push('', `**${command.name} ${subcommand.name}** - ${subcommand.description}`, ...describeOptions(subcommand.options || []));
+    }
+  } else if (command.options && command.options.length > 0) {
+    lines.push('', '**Options:**', ...describeOptions(command.options));
+  }
+
+  if (command.examples) {
+    lines.push('', '**Examples:**', ...command.examples.map(example => `- \`${example.replace(/^!/, prefix)}\``));
+  }
+  if (command.options || command.subcommands) {
+    lines.push('', `With the prefix, give options as \`name:value\` or \`--name value\`, quote values with spaces (\`contains:"free nitro"\`) and turn switches on with \`--name\`.`);
+  }
+
+  const text = lines.join('\n');
+  return text.length > MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH - 3)}...` : text;
+}
+
+// The help overview: one line per command, then the right-click commands
+function describeHelpOverview(commands, prefix) {
+  const lines = ['**Discord Message Cleaner Bot Commands:**'];
+  for (const command of commands.filter(candidate => !candidate.contextMenu)) {
+    lines.push(`- \`/${command.name}\` or \`${prefix}${command.name}\` - ${command.description}`);
+  }
+  const contextMenus = commands.filter(candidate => candidate.contextMenu);
+  if (contextMenus.length > 0) {
+    lines.push('', 'Right-click a message or user and open **Apps** for shortcuts:');
+    lines.push(...contextMenus.map(command => `- **${command.name}** - ${command.description}`));
+  }
+  lines.push('', `Run \`/help command:<name>\` or \`${prefix}help <name>\` for a command's options and examples.`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  buildApplicationCommand,
+  tokenize,
+  parseCommandLine,
+  describePrefixUsage,
+  checkCommandAccess,
+  createPrefixContext,
+  createSlashContext,
+  runCommand,
+  describeCommandHelp,
+  describeHelpOverview
+};
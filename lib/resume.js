@@ -0,0 +1,109 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Carrying on cleanups that a crash or restart interrupted, and checkpointing running
+ * cleanups when the bot is stopped.
+ */
+
+const { client } = require('./client');
+const { listCheckpoints, checkpointRunningJobs, clearCheckpoint } = require('./checkpoints');
+const { buildMessageFilter } = require('./options');
+const { canCleanChannel } = require('./channels');
+const { keepsUndoSnapshot } = require('./undo');
+const { cleanRange, cleanUntilMessage } = require('./cleanup');
+
+// Send a message to whoever started a cleanup. Never throws, as they may not accept DMs
+async function notifyInvoker(checkpoint, content) {
+  try {
+    const user = await client.users.fetch(checkpoint.invokerId);
+    await user.send(content);
+  } catch (error) {
+    console.error(`Could not tell ${checkpoint.invokerId} about cleanup ${checkpoint.runId}:`, error.message);
+  }
+}
+
+// Carry one interrupted cleanup on from its checkpoint, telling its invoker it resumed and,
+// when it's done, the totals of the whole cleanup
+async function resumeCleanup(checkpoint) {
+  const name = `${checkpoint.command || 'cleanup'} in <#${checkpoint.channelId}> (run \`${checkpoint.runId}\`)`;
+  const channel = await client.channels.fetch(checkpoint.channelId).catch(() => null);
+  if (!channel || !canCleanChannel(channel)) {
+    console.log(`Not resuming cleanup ${checkpoint.runId}: its channel is gone or I can no longer clean it.`);
+    clearCheckpoint({ runId: checkpoint.runId });
+    await notifyInvoker(checkpoint, `Your ${name} was interrupted by a restart and could not be resumed, as I can no longer clean that channel. ${checkpoint.totals.deleted || 0} messages were deleted before it stopped.`);
+    return;
+  }
+
+  console.log(`Resuming cleanup ${checkpoint.runId} in #${channel.name}, ${checkpoint.totals.deleted || 0} deleted so far`);
+  await notifyInvoker(checkpoint, `Your ${name} was interrupted by a restart and has resumed where it stopped, with ${checkpoint.totals.deleted || 0} messages deleted so far.`);
+
+  const options = {
+    filter: checkpoint.filter ? buildMessageFilter(checkpoint.filter) : null,
+    archive: checkpoint.archive,
+    override: checkpoint.override,
+    invokerId: checkpoint.invokerId,
+    command: checkpoint.command,
+    source: checkpoint.source,
+    args: checkpoint.args,
+    resume: checkpoint
+  };
+  // The copies of messages deleted before the restart aren't in the checkpoint, so the
+  // transcript and undo snapshot of the resumed run leave them out
+  const partial = checkpoint.totals.deleted > 0 && (options.archive || keepsUndoSnapshot(options))
+    ? ' The transcript and /cleanundo only cover the messages deleted after the restart.'
+    : '';
+  const respond = async (response) => {
+    await notifyInvoker(checkpoint, `Your resumed ${name} has finished. ${typeof response === 'string' ? response : response.content}${partial}`);
+  };
+
+  if (checkpoint.range) {
+    const range = {
+      from: BigInt(checkpoint.range.from),
+      to: checkpoint.range.to !== null ? BigInt(checkpoint.range.to) : null,
+      description: checkpoint.range.description
+    };
+    await cleanRange(channel, range, respond, options);
+  } else {
+    await cleanUntilMessage(channel, checkpoint.targetMessageId, respond, options);
+  }
+}
+
+// Resume every cleanup that has a saved checkpoint. They go through the job queue like any
+// other cleanup, so they are started together and wait for free slots there
+function resumeCleanups() {
+  const checkpoints = listCheckpoints();
+  if (checkpoints.length > 0) console.log(`Resuming ${checkpoints.length} interrupted cleanup${checkpoints.length === 1 ? '' : 's'}`);
+  return Promise.all(checkpoints.map(checkpoint => resumeCleanup(checkpoint).catch(error => {
+    console.error(`Error resuming cleanup ${checkpoint.runId}:`, error);
+  })));
+}
+
+// Stop the bot on SIGINT or SIGTERM: checkpoint the running cleanups, so they resume on the
+// next start, then log out
+async function shutdown(signal) {
+  const stopped = checkpointRunningJobs();
+  console.log(`Received ${signal}, shutting down${stopped > 0 ? ` and saving ${stopped} running cleanup${stopped === 1 ? '' : 's'} to resume on the next start` : ''}.`);
+  try {
+    await client.destroy();
+  } catch (error) {
+    console.error('Error logging out:', error);
+  }
+}
+
+module.exports = {
+  resumeCleanups,
+  shutdown
+};
@@ -0,0 +1,287 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Retention policies: deleting messages once they reach a maximum age.
+ */
+
+const { ChannelType, SnowflakeUtil } = require('discord.js');
+const { config } = require('./config');
+const { readDataFile, writeDataFile } = require('./storage');
+const { client } = require('./client');
+const { createProgressReporter, createRunStats, finishJob, queueJob, reportProgress } = require('./jobs');
+const { describeDuration, parseDuration, snowflakeFromTimestamp } = require('./time');
+const { deleteAndTally, describeOutcome, finishRun } = require('./cleanup');
+const { canCleanChannel } = require('./channels');
+const { checkAuthorization } = require('./permissions');
+
+// Retention policies set with /retention, keyed by the channel or category they cover, and the
+// saved position of each channel's pass: the newest message dealt with (cursor), the time up to
+// which every older message has been dealt with (clearedUntil) and when it last ran
+let retentionStore = readDataFile('retention.json', { policies: {}, cursors: {} });
+
+// Channels with a retention pass running, so a slow pass isn't started again on the next tick
+const runningRetention = new Set();
+
+// The channels a guild's retention policies cover, as { channel, policy } pairs. A policy on a
+// channel takes precedence over one on its category
+function getRetentionTargets(guild) {
+  const policies = Object.values(retentionStore.policies).filter(policy => policy.guildId === guild.id);
+  const targets = new Map();
+  
+  for (const policy of policies) {
+    const target = guild.channels.cache.get(policy.channelId);
+    if (!target || target.type !== ChannelType.GuildCategory) continue;
+    for (const child of guild.channels.cache.filter(other => other.parentId === target.id).values()) {
+      if (child.isTextBased() && !child.isThread()) targets.set(child.id, { channel: child, policy });
+    }
+  }
+  for (const policy of policies) {
+    const target = guild.channels.cache.get(policy.channelId);
+    if (target && target.type !== ChannelType.GuildCategory) targets.set(target.id, { channel: target, policy });
+  }
+  return [...targets.values()];
+}
+
+// Save how far a channel's retention pass has got
+function saveRetentionCursor(channelId, changes) {
+  retentionStore.cursors[channelId] = { ...retentionStore.cursors[channelId], ...changes };
+  writeDataFile('retention.json', retentionStore);
+}
+
+// Delete a channel's messages older than a policy's max age. The history is walked oldest first
+// from the saved cursor, which is saved again after every page, so a pass that is cancelled or
+// cut short by a restart carries on where it stopped. Messages that are kept (protected, or
+// failing to delete) are passed over and not looked at again. Returns the run's stats
+async function enforceRetention(channel, policy, responseCallback, options = {}) {
+  const stats = createRunStats(options);
+  try {
+    await queueJob(channel, options, stats);
+    const cutoff = Date.now() - parseDuration(policy.maxAge);
+    const cutoffId = snowflakeFromTimestamp(cutoff);
+    let cursor = (retentionStore.cursors[channel.id] || {}).cursor || '0';
+    
+    // The walk runs forwards in time, so the span is given from its end for describeProgress
+    stats.span = { from: cutoff, to: Math.max(SnowflakeUtil.timestampFrom(cursor), channel.createdTimestamp || 0) };
+    
+    let caughtUp = false;
+    while (!stats.controller.signal.aborted) {
+      const messages = await channel.messages.fetch({ limit: 100, after: cursor });
+      const expired = messages.filter(msg => BigInt(msg.id) < cutoffId);
+      if (expired.size === 0) {
+        caughtUp = true;
+        break;
+      }
+      
+      const newestId = expired.reduce((newest, msg) => (BigInt(msg.id) > BigInt(newest) ? msg.id : newest), cursor);
+      stats.scanned += expired.size;
+      stats.reachedTimestamp = SnowflakeUtil.timestampFrom(newestId);
+      reportProgress(stats, options);
+      
+      await deleteAndTally(channel, expired, stats, options);
+      
+      // A page cut short by cancelling is looked at again on the next pass
+      if (stats.controller.signal.aborted) break;
+      cursor = newestId;
+      saveRetentionCursor(channel.id, { cursor, clearedUntil: stats.reachedTimestamp });
+      
+      // The rest of the page is newer than the cutoff, so there's nothing more to do
+      if (expired.size < messages.size) {
+        caughtUp = true;
+        break;
+      }
+    }
+    
+    saveRetentionCursor(channel.id, caughtUp
+      ? { clearedUntil: cutoff, lastRunAt: new Date().toISOString() }
+      : { lastRunAt: new Date().toISOString() });
+    
+    // Passes that found nothing to delete are left out of the audit log, since they run every hour
+    if (stats.scanned === 0 && !stats.controller.signal.aborted) {
+      finishJob(stats);
+    } else {
+      await finishRun(channel, options, stats);
+    }
+    
+    await responseCallback(
+      (stats.controller.signal.aborted
+        ? `Cancelled after deleting ${stats.deleted} messages.`
+        : `Deleted ${stats.deleted} messages older than ${policy.maxAge}.`) +
+      describeOutcome(stats)
+    );
+  } catch (error) {
+    console.error(`Error enforcing retention in #${channel.name}:`, error);
+    stats.error = error.message;
+    await finishRun(channel, options, stats);
+    await responseCallback('There was an error deleting messages.');
+  }
+  return stats;
+}
+
+// Run one channel's retention pass, unless one is already running there
+async function runRetention(channel, policy, responseCallback, options) {
+  if (runningRetention.has(channel.id)) return responseCallback('A retention pass is already running here.');
+  
+  runningRetention.add(channel.id);
+  try {
+    return await enforceRetention(channel, policy, responseCallback, {
+      command: 'retention',
+      args: { maxAge: policy.maxAge, policy: policy.channelId },
+      ...options
+    });
+  } finally {
+    runningRetention.delete(channel.id);
+  }
+}
+
+// Enforce every retention policy once per retentionInterval. Passes a restart interrupted are
+// resumed from their saved cursor on startup
+function startRetention() {
+  const tick = async () => {
+    for (const guild of client.guilds.cache.values()) {
+      for (const { channel, policy } of getRetentionTargets(guild)) {
+        if (!canCleanChannel(channel)) continue;
+        await runRetention(channel, policy, async (response) => {
+          console.log(`Retention in #${channel.name}: ${response}`);
+        }, { invokerId: client.user.id, source: 'retention' });
+      }
+    }
+  };
+  
+  const run = () => tick().catch(error => {
+    console.error('Error running retention policies:', error);
+  });
+  run();
+  setInterval(run, config.retentionInterval);
+}
+
+// Describe how far behind a channel's retention pass is, for /retention show
+function describeRetentionBacklog(channel, policy) {
+  const saved = retentionStore.cursors[channel.id];
+  if (!saved || !saved.lastRunAt) return 'not checked yet';
+  
+  const checked = `checked <t:${Math.floor(Date.parse(saved.lastRunAt) / 1000)}:R>`;
+  const behind = Date.now() - parseDuration(policy.maxAge) - (saved.clearedUntil || channel.createdTimestamp || 0);
+  
+  // Messages age past the cutoff between passes, so up to one interval behind is expected
+  if (behind <= config.retentionInterval) return `up to date, ${checked}`;
+  return `**behind by ${describeDuration(behind)}** (cleared up to <t:${Math.floor((saved.clearedUntil || 0) / 1000)}:f>), ${checked}`;
+}
+
+// Handle the /retention subcommands for managing retention policies
+async function handleRetention(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+  const channelOption = interaction.options.getChannel('channel');
+  
+  if (subcommand === 'set') {
+    const maxAge = interaction.options.getString('max-age').trim().toLowerCase();
+    const existing = retentionStore.policies[channelOption.id];
+    
+    // A policy covers the channel, or the category and every channel in it, so the member has to
+    // be allowed to clean all of them, wherever the command is run
+    const covered = [channelOption, ...interaction.guild.channels.cache.filter(other => other.parentId === channelOption.id).values()];
+    const denied = covered.filter(channel => !checkAuthorization(interaction.member, channel, 'retention').allowed);
+    if (denied.length > 0) {
+      const list = denied.slice(0, 10).map(channel => `<#${channel.id}>`).join(', ');
+      return interaction.reply({
+        content: `You are not allowed to clean ${list}${denied.length > 10 ? ` and ${denied.length - 10} more channels` : ''}, so you can't change the retention policy for <#${channelOption.id}>.`,
+        flags: [1 << 6]
+      });
+    }
+    
+    if (maxAge === 'off') {
+      if (!existing) {
+        return interaction.reply({ content: `<#${channelOption.id}> has no retention policy.`, flags: [1 << 6] });
+      }
+      delete retentionStore.policies[channelOption.id];
+      writeDataFile('retention.json', retentionStore);
+      return interaction.reply({ content: `Removed the retention policy for <#${channelOption.id}>.`, flags: [1 << 6] });
+    }
+    
+    if (!parseDuration(maxAge)) {
+      return interaction.reply({ content: 'Please give max-age as a duration such as 24h, 30d or 12w, or `off`.', flags: [1 << 6] });
+    }
+    
+    retentionStore.policies[channelOption.id] = {
+      guildId: interaction.guildId,
+      channelId: channelOption.id,
+      maxAge,
+      setBy: interaction.user.id,
+      setAt: new Date().toISOString()
+    };
+    writeDataFile('retention.json', retentionStore);
+    return interaction.reply({
+      content: `Messages in <#${channelOption.id}> older than ${maxAge} will now be deleted. The next pass runs <t:${Math.floor((Date.now() + config.retentionInterval) / 1000)}:R> at the latest; use \`/retention run-now\` to start it straight away.`,
+      flags: [1 << 6]
+    });
+  }
+  
+  const targets = getRetentionTargets(interaction.guild)
+    .filter(({ channel, policy }) => !channelOption || channel.id === channelOption.id || policy.channelId === channelOption.id);
+  
+  if (subcommand === 'show') {
+    if (targets.length === 0) {
+      return interaction.reply({ content: 'There are no retention policies in this server.', flags: [1 << 6] });
+    }
+    
+    // Keep the list within Discord's message limit
+    let report = '**Retention policies:**';
+    for (const [index, { channel, policy }] of targets.entries()) {
+      const source = policy.channelId !== channel.id ? ` (from <#${policy.channelId}>)` : '';
+      const line = `- <#${channel.id}>: older than ${policy.maxAge}${source}, ${describeRetentionBacklog(channel, policy)}`;
+      const remaining = `\n- ...and ${targets.length - index} more channels`;
+      if (report.length + line.length + 1 + remaining.length > 2000) {
+        report += remaining;
+        break;
+      }
+      report += `\n${line}`;
+    }
+    return interaction.reply({ content: report, flags: [1 << 6] });
+  }
+  
+  // subcommand === 'run-now'
+  if (targets.length === 0) {
+    return interaction.reply({
+      content: channelOption ? `No retention policy covers <#${channelOption.id}>.` : 'There are no retention policies in this server.',
+      flags: [1 << 6]
+    });
+  }
+  
+  await interaction.deferReply({ flags: [1 << 6] });
+  const onProgress = createProgressReporter(payload => interaction.editReply(payload));
+  const batchController = new AbortController();
+  const lines = [];
+  for (const [index, { channel, policy }] of targets.entries()) {
+    if (batchController.signal.aborted) {
+      lines.push(`- <#${channel.id}>: not started, the pass was cancelled`);
+    } else if (!checkAuthorization(interaction.member, channel, 'retention').allowed) {
+      lines.push(`- <#${channel.id}>: skipped, you are not allowed to clean it`);
+    } else if (!canCleanChannel(channel)) {
+      lines.push(`- <#${channel.id}>: skipped, I need View Channel, Read Message History and Manage Messages there`);
+    } else {
+      await runRetention(channel, policy, async (response) => {
+        lines.push(`- <#${channel.id}>: ${response}`);
+      }, { invokerId: interaction.user.id, source: interaction.source, batchController, onProgress, progressLabel: `<#${channel.id}> (${index + 1} of ${targets.length})` });
+    }
+  }
+  
+  const report = `**Retention pass finished:**\n${lines.join('\n')}`;
+  await interaction.editReply({ content: report.length > 2000 ? `${report.slice(0, 1997)}...` : report, components: [] });
+}
+
+module.exports = {
+  startRetention,
+  handleRetention
+};
@@ -0,0 +1,286 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Scheduled purges from config.json and /cleanschedule.
+ */
+
+const { config } = require('./config');
+const { readDataFile, writeDataFile } = require('./storage');
+const { client } = require('./client');
+const { parseDuration, snowflakeFromTimestamp } = require('./time');
+const { cleanRange } = require('./cleanup');
+const { checkAuthorization } = require('./permissions');
+const { canCleanChannel } = require('./channels');
+
+// Scheduled purges: rules from config.json plus those added with /cleanschedule
+let scheduleStore = readDataFile('schedules.json', { nextId: 1, schedules: [], lastRuns: {} });
+
+// Schedules currently running, so a slow purge isn't started again on the next tick
+const runningSchedules = new Set();
+
+// When the scheduler started; schedules that have never run count their first interval from here
+const schedulerStartedAt = Date.now();
+
+// Next run times by schedule ID, with the schedule and last run they were worked out from,
+// so cron schedules aren't stepped through again every tick
+const nextRuns = new Map();
+
+// Parse one field of a cron expression into the set of values it allows, or null if invalid
+function parseCronField(field, min, max) {
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) return null;
+    
+    let [start, end] = match[1] === '*' ? [min, max] : match[1].split('-').map(Number);
+    if (end === undefined) end = match[2] ? max : start;
+    const step = match[2] ? Number(match[2]) : 1;
+    if (start < min || end > max || start > end || step < 1) return null;
+    
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return values;
+}
+
+// Parse a schedule: "every 6h", "daily 04:00", or a five-field cron expression
+// (minute hour day-of-month month day-of-week) in the bot's local time. Returns null if invalid
+function parseSchedule(text) {
+  const trimmed = (text || '').trim();
+  
+  const interval = trimmed.match(/^every\s+(\S+)$/i);
+  if (interval) {
+    const every = parseDuration(interval[1]);
+    return every ? { type: 'interval', every } : null;
+  }
+  
+  const daily = trimmed.match(/^daily\s+(\d{1,2}):(\d{2})$/i);
+  const expression = daily ? `${Number(daily[2])} ${Number(daily[1])} * * *` : trimmed;
+  
+  const fields = expression.split(/\s+/);
+  if (fields.length !== 5) return null;
+  
+  const [minutes, hours, days, months, weekdays] = [
+    parseCronField(fields[0], 0, 59),
+    parseCronField(fields[1], 0, 23),
+    parseCronField(fields[2], 1, 31),
+    parseCronField(fields[3], 1, 12),
+    parseCronField(fields[4], 0, 7)
+  ];
+  if (!minutes || !hours || !days || !months || !weekdays) return null;
+  // Sunday is both 0 and 7, as in standard cron
+  if (weekdays.delete(7)) weekdays.add(0);
+  
+  return {
+    type: 'cron',
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // As in standard cron, when both day fields are restricted a date matching either one runs
+    anyDay: fields[2] !== '*' && fields[4] !== '*'
+  };
+}
+
+// Work out when a schedule should next run, given when it last ran
+function getNextRun(schedule, lastRun) {
+  const base = lastRun || (schedule.createdAt ? Date.parse(schedule.createdAt) : schedulerStartedAt);
+  const cached = nextRuns.get(schedule.id);
+  if (cached && cached.when === schedule.when && cached.base === base) return cached.at;
+  
+  const at = findNextRun(parseSchedule(schedule.when), base);
+  nextRuns.set(schedule.id, { when: schedule.when, base, at });
+  return at;
+}
+
+// The first time after `base` that a parsed schedule runs, or Infinity if it never does
+function findNextRun(parsed, base) {
+  // A malformed schedule in config.json never runs
+  if (!parsed) return Infinity;
+  if (parsed.type === 'interval') return base + parsed.every;
+  
+  // Step forward until the cron fields match, skipping whole days and hours that can't,
+  // at most a year ahead
+  const candidate = new Date(base);
+  candidate.setSeconds(0, 0);
+  candidate.setMinutes(candidate.getMinutes() + 1);
+  const end = base + 366 * 24 * 60 * 60 * 1000;
+  while (candidate.getTime() <= end) {
+    const dayMatches = parsed.anyDay
+      ? parsed.days.has(candidate.getDate()) || parsed.weekdays.has(candidate.getDay())
+      : parsed.days.has(candidate.getDate()) && parsed.weekdays.has(candidate.getDay());
+    if (!dayMatches || !parsed.months.has(candidate.getMonth() + 1)) {
+      candidate.setDate(candidate.getDate() + 1);
+      candidate.setHours(0, 0, 0, 0);
+    } else if (!parsed.hours.has(candidate.getHours())) {
+      candidate.setHours(candidate.getHours() + 1, 0, 0, 0);
+    } else if (!parsed.minutes.has(candidate.getMinutes())) {
+      candidate.setMinutes(candidate.getMinutes() + 1);
+    } else {
+      return candidate.getTime();
+    }
+  }
+  return Infinity;
+}
+
+// All schedules in effect: those from config.json followed by those added with /cleanschedule
+function getSchedules() {
+  const configSchedules = config.schedules.map((schedule, index) => ({ ...schedule, id: `config-${index + 1}`, fromConfig: true }));
+  return [...configSchedules, ...scheduleStore.schedules];
+}
+
+// Describe a schedule in one line for /cleanschedule list
+function describeSchedule(schedule) {
+  const lastRun = scheduleStore.lastRuns[schedule.id];
+  const nextRun = getNextRun(schedule, lastRun ? Date.parse(lastRun) : null);
+  const parts = [
+    `\`${schedule.id}\` <#${schedule.channelId}> \`${schedule.when}\``,
+    schedule.olderThan ? `delete messages older than ${schedule.olderThan}` : 'delete everything',
+    schedule.keepPinned === false ? '' : '(keeping pinned)',
+    nextRun !== Infinity ? `— next <t:${Math.floor(nextRun / 1000)}:R>` : ''
+  ];
+  if (schedule.fromConfig) parts.push('*(config.json)*');
+  return parts.filter(Boolean).join(' ');
+}
+
+// Run one scheduled purge through the normal range cleanup
+async function runSchedule(schedule) {
+  runningSchedules.add(schedule.id);
+  try {
+    const channel = await client.channels.fetch(schedule.channelId);
+    
+    // Everything up to the cutoff; with no olderThan, everything in the channel
+    const cutoff = schedule.olderThan ? Date.now() - parseDuration(schedule.olderThan) : null;
+    const range = {
+      from: 0n,
+      to: cutoff !== null ? snowflakeFromTimestamp(cutoff) - 1n : null,
+      description: schedule.olderThan ? `older than ${schedule.olderThan}` : 'in the channel'
+    };
+    
+    // Pinned messages are protected as usual unless the schedule says otherwise
+    const override = schedule.keepPinned === false ? ['pinned'] : undefined;
+    
+    await cleanRange(channel, range, async (response) => {
+      console.log(`Schedule ${schedule.id} in #${channel.name}: ${response}`);
+    }, { override, invokerId: client.user.id, command: 'schedule', source: 'schedule', args: { scheduleId: schedule.id, when: schedule.when } });
+  } catch (error) {
+    console.error(`Error running schedule ${schedule.id}:`, error);
+  } finally {
+    // Record the run even if it failed, so a broken schedule doesn't retry every tick
+    scheduleStore.lastRuns[schedule.id] = new Date().toISOString();
+    writeDataFile('schedules.json', scheduleStore);
+    runningSchedules.delete(schedule.id);
+  }
+}
+
+// Check once a minute for schedules that are due. Runs missed while the bot was offline are
+// caught up once on startup
+function startScheduler() {
+  const tick = async () => {
+    for (const schedule of getSchedules()) {
+      if (runningSchedules.has(schedule.id)) continue;
+      
+      const lastRun = scheduleStore.lastRuns[schedule.id];
+      if (getNextRun(schedule, lastRun ? Date.parse(lastRun) : null) <= Date.now()) {
+        await runSchedule(schedule);
+      }
+    }
+  };
+  
+  const run = () => tick().catch(error => {
+    console.error('Error checking scheduled purges:', error);
+  });
+  run();
+  setInterval(run, 60 * 1000);
+}
+
+// Handle the /cleanschedule subcommands for managing scheduled purges
+async function handleCleanSchedule(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+  
+  if (subcommand === 'list') {
+    const schedules = getSchedules().filter(schedule => !schedule.guildId || schedule.guildId === interaction.guildId)
+      .filter(schedule => interaction.guild.channels.cache.has(schedule.channelId));
+    return interaction.reply({
+      content: schedules.length > 0
+        ? `**Scheduled purges:**\n${schedules.map(describeSchedule).join('\n')}`
+        : 'There are no scheduled purges in this server.',
+      flags: [1 << 6]
+    });
+  }
+  
+  if (subcommand === 'remove') {
+    const id = interaction.options.getString('id');
+    const schedule = scheduleStore.schedules.find(existing => existing.id === id && existing.guildId === interaction.guildId);
+    if (!schedule) {
+      return interaction.reply({
+        content: `No schedule \`${id}\` found for this server. Schedules from config.json can only be changed in the file.`,
+        flags: [1 << 6]
+      });
+    }
+    
+    scheduleStore.schedules = scheduleStore.schedules.filter(existing => existing !== schedule);
+    delete scheduleStore.lastRuns[schedule.id];
+    writeDataFile('schedules.json', scheduleStore);
+    return interaction.reply({ content: `Removed schedule: ${describeSchedule(schedule)}`, flags: [1 << 6] });
+  }
+  
+  // subcommand === 'add'
+  const target = interaction.options.getChannel('channel');
+  const when = interaction.options.getString('when');
+  const olderThan = interaction.options.getString('older-than');
+  const keepPinned = interaction.options.getBoolean('keep-pinned');
+  
+  if (!parseSchedule(when)) {
+    return interaction.reply({
+      content: 'Please give the schedule as `every <duration>` (e.g. `every 6h`), `daily HH:MM` (e.g. `daily 04:00`), or a five-field cron expression (e.g. `0 4 * * *`).',
+      flags: [1 << 6]
+    });
+  }
+  if (olderThan && !parseDuration(olderThan)) {
+    return interaction.reply({ content: 'Please give older-than as a duration such as 30m, 24h or 7d.', flags: [1 << 6] });
+  }
+  
+  // The rules for the channel being purged apply, not those for the one the command is run in
+  if (!checkAuthorization(interaction.member, target, 'cleanschedule').allowed) {
+    return interaction.reply({ content: `You are not allowed to schedule purges of <#${target.id}>.`, flags: [1 << 6] });
+  }
+  if (!canCleanChannel(target)) {
+    return interaction.reply({ content: `I need View Channel, Read Message History and Manage Messages in <#${target.id}> to purge it.`, flags: [1 << 6] });
+  }
+  
+  const schedule = {
+    id: String(scheduleStore.nextId++),
+    guildId: interaction.guildId,
+    channelId: target.id,
+    when,
+    olderThan: olderThan || null,
+    keepPinned: keepPinned !== false,
+    createdBy: interaction.user.id,
+    createdAt: new Date().toISOString()
+  };
+  
+  scheduleStore.schedules.push(schedule);
+  writeDataFile('schedules.json', scheduleStore);
+  return interaction.reply({ content: `Added schedule: ${describeSchedule(schedule)}`, flags: [1 << 6] });
+}
+
+module.exports = {
+  parseSchedule,
+  getNextRun,
+  startScheduler,
+  handleCleanSchedule
+};
@@ -0,0 +1,149 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * /cleanmine: any member deleting their own messages, without being authorized to use the
+ * bot, within a cooldown and a daily quota per member and server.
+ */
+
+const { PermissionsBitField } = require('discord.js');
+const { config } = require('./config');
+const { readDataFile, writeDataFile } = require('./storage');
+const { buildMessageFilter } = require('./options');
+const { rangeSince } = require('./time');
+const { cleanMessages } = require('./cleanup');
+const { canCleanChannel, cleanChannels } = require('./channels');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Each member's /cleanmine runs in the last day: guild ID -> user ID -> [{ at, deleted }],
+// oldest first
+let usageStore = readDataFile('cleanmine.json', {});
+
+// A member's runs in a server within the last day. Older runs are dropped from the store
+function getRecentRuns(guildId, userId) {
+  const runs = ((usageStore[guildId] || {})[userId] || []).filter(run => Date.now() - run.at < DAY);
+  usageStore[guildId] = { ...usageStore[guildId], [userId]: runs };
+  return runs;
+}
+
+// Whether a member may run /cleanmine now, and how many of their messages they may still
+// delete today. Returns { allowed, remaining, reason }
+function checkAllowance(guildId, userId) {
+  const { cooldownSeconds, dailyQuota } = config.cleanMine;
+  const runs = getRecentRuns(guildId, userId);
+  
+  const last = runs[runs.length - 1];
+  if (last && Date.now() - last.at < cooldownSeconds * 1000) {
+    const next = Math.ceil((last.at + cooldownSeconds * 1000) / 1000);
+    return { allowed: false, reason: `You can use /cleanmine again <t:${next}:R>.` };
+  }
+  
+  const used = runs.reduce((sum, run) => sum + run.deleted, 0);
+  if (used >= dailyQuota) {
+    const next = Math.ceil((runs[0].at + DAY) / 1000);
+    return { allowed: false, reason: `You have deleted your limit of ${dailyQuota} messages for today. You can delete more <t:${next}:R>.` };
+  }
+  return { allowed: true, remaining: dailyQuota - used };
+}
+
+// Reply privately with an error (posted in the channel for prefix commands)
+function replyError(interaction, content) {
+  return interaction.reply({ content, flags: [1 << 6] });
+}
+
+// Handle /cleanmine: delete the member's own messages in this channel, or channel by channel
+// across the server, up to the amount and their remaining daily quota
+async function handleCleanMine(interaction) {
+  const amount = interaction.options.getInteger('amount');
+  const since = interaction.options.getString('since');
+  const until = interaction.options.getString('until');
+  const everywhere = interaction.options.getBoolean('all-channels') || false;
+  
+  if (!amount && !since && !until) {
+    return replyError(interaction, 'Please give an amount, since or until to choose which of your messages to delete.');
+  }
+  let from = null;
+  try {
+    if (since) from = rangeSince(since).from;
+  } catch (error) {
+    return replyError(interaction, error.message);
+  }
+  if (until && !/^\d+$/.test(until)) {
+    return replyError(interaction, 'Please give until as the ID of a message: everything you posted after it is deleted. Right-click on the message and select "Copy ID" to get it.');
+  }
+  if (!everywhere && !canCleanChannel(interaction.channel)) {
+    return replyError(interaction, 'I need View Channel, Read Message History and Manage Messages in this channel to delete messages here.');
+  }
+  
+  const allowance = checkAllowance(interaction.guildId, interaction.user.id);
+  if (!allowance.allowed) return replyError(interaction, allowance.reason);
+  
+  // Note the run straight away, so the cooldown covers it while it is still going
+  const run = { at: Date.now(), deleted: 0 };
+  getRecentRuns(interaction.guildId, interaction.user.id).push(run);
+  writeDataFile('cleanmine.json', usageStore);
+  
+  const own = buildMessageFilter({ user: interaction.user.id });
+  const filter = msg => own(msg) &&
+    (from === null || BigInt(msg.id) >= from) &&
+    (!until || BigInt(msg.id) > BigInt(until));
+  filter.criteria = { ...own.criteria, ...(since && { since }), ...(until && { until }) };
+  
+  // Large runs don't ask for confirmation: members only delete their own messages, and the
+  // quota bounds how many
+  const options = { filter, confirmed: true, onProgress: interaction.onProgress, ...interaction.audit };
+  let left = Math.min(amount || Infinity, allowance.remaining);
+  
+  // Each channel deletes up to what is left of the amount and the quota
+  const runOne = async (channel, callback, runOptions) => {
+    if (left <= 0) {
+      await callback('skipped, the amount or your daily limit was reached');
+      return null;
+    }
+    const stats = await cleanMessages(channel, left, callback, runOptions);
+    if (stats) {
+      left -= stats.deleted;
+      run.deleted += stats.deleted;
+      writeDataFile('cleanmine.json', usageStore);
+    }
+    return stats;
+  };
+  const respond = response => interaction.respond(
+    `${response}\nYou can delete ${Math.max(0, allowance.remaining - run.deleted)} more of your messages today.`
+  );
+  
+  await interaction.deferReply({ flags: [1 << 6] });
+  if (!everywhere) {
+    // Reply once the run's deletions count towards the quota
+    let result = null;
+    await runOne(interaction.channel, async (response) => {
+      result = response;
+    }, options);
+    return respond(result);
+  }
+  
+  // Only the channels the member can see, so the report doesn't reveal any others
+  const channels = [...interaction.guild.channels.cache.filter(channel =>
+    !channel.isThread() &&
+    channel.isTextBased() &&
+    channel.permissionsFor(interaction.member).has(PermissionsBitField.Flags.ViewChannel)
+  ).values()];
+  await cleanChannels(interaction.member, channels, { includeThreads: false, limit: Infinity }, runOne, respond, options);
+}
+
+module.exports = {
+  handleCleanMine
+};
@@ -0,0 +1,52 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Runtime state saved as JSON files in the data directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config, rootDir } = require('./config');
+
+// Directory for state the bot saves at runtime (permission rules, audit log, etc.)
+const dataDir = path.resolve(rootDir, config.dataDir);
+
+// Read a JSON file from the data directory, returning the fallback if it doesn't exist yet
+function readDataFile(name, fallback) {
+  const file = path.join(dataDir, name);
+  try {
+    if (!fs.existsSync(file)) return fallback;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error(`Error reading ${file}:`, error);
+    return fallback;
+  }
+}
+
+// Write a JSON file to the data directory. Writes to a temporary file first so a crash
+// mid-write can't leave a half-written file behind
+function writeDataFile(name, data) {
+  fs.mkdirSync(dataDir, { recursive: true });
+  const file = path.join(dataDir, name);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+module.exports = {
+  dataDir,
+  readDataFile,
+  writeDataFile
+};
@@ -0,0 +1,96 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Durations, timestamps and the snowflake ranges built from them.
+ */
+
+const { SnowflakeUtil } = require('discord.js');
+
+// Convert a Unix timestamp (ms) into the lowest possible snowflake for that millisecond
+function snowflakeFromTimestamp(timestamp) {
+  return (BigInt(timestamp) - SnowflakeUtil.epoch) << 22n;
+}
+
+// Parse a duration such as 30m, 2h, 1d or 1h30m into milliseconds. Returns null if invalid
+function parseDuration(text) {
+  const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+  const normalized = text.trim().toLowerCase();
+  if (!/^(\d+[smhdw])+$/.test(normalized)) return null;
+  
+  let total = 0;
+  for (const [, value, unit] of normalized.matchAll(/(\d+)([smhdw])/g)) {
+    total += parseInt(value, 10) * units[unit];
+  }
+  return total > 0 ? total : null;
+}
+
+// Build an inclusive snowflake range covering two message IDs, in either order
+function rangeFromMessageIds(firstId, secondId) {
+  if (!/^\d+$/.test(firstId || '') || !/^\d+$/.test(secondId || '')) {
+    throw new Error('Please provide two valid message IDs. Right-click on a message and select "Copy ID" to get one.');
+  }
+  const [from, to] = [BigInt(firstId), BigInt(secondId)].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return { from, to, description: 'between the two messages' };
+}
+
+// Build a range covering everything posted within the given duration (e.g. 2h) up to now
+function rangeSince(durationText) {
+  const duration = parseDuration(durationText || '');
+  if (!duration) {
+    throw new Error('Please provide a duration such as 30m, 2h, 1d or 1h30m.');
+  }
+  return { from: snowflakeFromTimestamp(Date.now() - duration), to: null, description: `from the last ${durationText}` };
+}
+
+// Build a range covering everything posted between two ISO 8601 timestamps
+function rangeBetween(startText, endText) {
+  const start = Date.parse(startText || '');
+  const end = Date.parse(endText || '');
+  if (isNaN(start) || isNaN(end)) {
+    throw new Error('Please provide start and end times in ISO 8601 format, e.g. 2025-03-08T14:00 or 2025-03-08T14:00:00Z.');
+  }
+  if (start >= end) {
+    throw new Error('The start time must be before the end time.');
+  }
+  return {
+    from: snowflakeFromTimestamp(start),
+    to: snowflakeFromTimestamp(end + 1) - 1n,
+    description: `between <t:${Math.floor(start / 1000)}:f> and <t:${Math.floor(end / 1000)}:f>`
+  };
+}
+
+// Describe a length of time with its two largest units, e.g. "3d 4h"
+function describeDuration(ms) {
+  const units = [['d', 24 * 60 * 60 * 1000], ['h', 60 * 60 * 1000], ['m', 60 * 1000]];
+  const parts = [];
+  let rest = ms;
+  for (const [unit, size] of units) {
+    if (rest >= size) {
+      parts.push(`${Math.floor(rest / size)}${unit}`);
+      rest %= size;
+    }
+  }
+  return parts.slice(0, 2).join(' ') || 'under a minute';
+}
+
+module.exports = {
+  snowflakeFromTimestamp,
+  parseDuration,
+  rangeFromMessageIds,
+  rangeSince,
+  rangeBetween,
+  describeDuration
+};
@@ -0,0 +1,237 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Undo snapshots of deleted messages and restoring them with /cleanundo.
+ */
+
+const { PermissionsBitField } = require('discord.js');
+const fs = require('fs');
+const path = require('path');
+const { config } = require('./config');
+const { dataDir } = require('./storage');
+const { client } = require('./client');
+
+// Snapshots of deleted messages kept for /cleanundo, one file per run
+const undoDir = path.join(dataDir, 'undo');
+
+// Runs that never keep an undo snapshot: those meant to make messages go away for good
+// (retention), unattended ones (schedules and auto-mod), and members deleting their own messages
+const NO_UNDO_SOURCES = ['retention', 'schedule', 'automod'];
+const NO_UNDO_COMMANDS = ['retention', 'cleanmine'];
+
+// Name used for the webhook /cleanundo posts through
+const RESTORE_WEBHOOK_NAME = 'Discord Cleanup Restore';
+
+// IDs of the runs being restored right now
+const restoringRuns = new Set();
+
+// Whether a run keeps a copy of its deleted messages for /cleanundo
+function keepsUndoSnapshot(options) {
+  return config.undoRetention > 0 &&
+    !NO_UNDO_SOURCES.includes(options.source) &&
+    !NO_UNDO_COMMANDS.includes(options.command);
+}
+
+// Save a run's deleted messages so /cleanundo can restore them within the retention window
+function saveUndoSnapshot(channel, options, stats) {
+  if (stats.archivedMessages.length === 0) return;
+  
+  fs.mkdirSync(undoDir, { recursive: true });
+  const snapshot = {
+    runId: stats.runId,
+    guildId: channel.guildId,
+    channelId: channel.id,
+    command: options.command || null,
+    invokerId: options.invokerId,
+    deletedAt: new Date().toISOString(),
+    messages: [...stats.archivedMessages].sort((a, b) => (BigInt(a.id) < BigInt(b.id) ? -1 : 1))
+  };
+  fs.writeFileSync(path.join(undoDir, `${stats.runId}.json`), JSON.stringify(snapshot));
+  pruneUndoSnapshots();
+}
+
+// Load every undo snapshot that is still inside the retention window, deleting expired ones
+function pruneUndoSnapshots() {
+  if (!fs.existsSync(undoDir)) return [];
+  
+  const snapshots = [];
+  for (const file of fs.readdirSync(undoDir)) {
+    if (!file.endsWith('.json')) continue;
+    const filePath = path.join(undoDir, file);
+    try {
+      const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (Date.now() - Date.parse(snapshot.deletedAt) > config.undoRetention) {
+        fs.unlinkSync(filePath);
+      } else {
+        snapshots.push(snapshot);
+      }
+    } catch (error) {
+      console.error(`Error reading undo snapshot ${filePath}:`, error);
+    }
+  }
+  return snapshots;
+}
+
+// Webhooks refuse usernames containing "discord" or "clyde", and cap them at 80 characters
+function webhookUsername(name) {
+  const cleaned = name.replace(/discord|clyde/gi, match => `${match[0]}\u200b${match.slice(1)}`).slice(0, 80);
+  return cleaned.trim() || 'Unknown user';
+}
+
+// Re-post an archived message through the webhook, as close to the original as possible.
+// `threadId` is set when the message goes into a thread of the webhook's channel
+async function repostMessage(webhook, msg, threadId) {
+  // Only embeds the author built themselves; link previews regenerate from the content
+  const embeds = msg.embeds.filter(embed => !embed.type || embed.type === 'rich').slice(0, 10);
+  const files = msg.attachments.map(attachment => ({ attachment: attachment.url, name: attachment.name }));
+  
+  // Discord allows longer messages from Nitro users than from webhooks, so split if needed
+  const chunks = msg.content ? msg.content.match(/[\s\S]{1,2000}/g) : [];
+  if (chunks.length === 0 && files.length === 0 && embeds.length === 0) return false;
+  
+  const base = {
+    username: webhookUsername(msg.authorDisplayName || msg.authorTag),
+    avatarURL: msg.authorAvatarUrl,
+    // Restored messages must not ping everyone a second time
+    allowedMentions: { parse: [] },
+    threadId
+  };
+  
+  for (let i = 0; i < Math.max(chunks.length, 1); i++) {
+    const last = i === Math.max(chunks.length, 1) - 1;
+    const payload = { ...base, content: chunks[i] || undefined };
+    if (last) {
+      payload.embeds = embeds;
+      payload.files = files;
+    }
+    
+    try {
+      await webhook.send(payload);
+    } catch (error) {
+      if (!last || files.length === 0) throw error;
+      
+      // Attachments often disappear from Discord's CDN with the message; link them instead
+      const links = msg.attachments.map(attachment => `[${attachment.name}](<${attachment.url}>)`).join('\n');
+      await webhook.send({ ...base, content: `${chunks[i] || ''}\n${links}`.slice(0, 2000), embeds });
+    }
+  }
+  return true;
+}
+
+// Handle /cleanundo: list restorable runs, or re-post one run's messages through a webhook
+async function handleCleanUndo(interaction) {
+  const runId = interaction.options.getString('run');
+  if (config.undoRetention === 0) {
+    return interaction.reply({ content: 'Undo is turned off. Set `undoRetention` in config.json to keep deleted messages for /cleanundo.', flags: [1 << 6] });
+  }
+  const snapshots = pruneUndoSnapshots().filter(snapshot => snapshot.guildId === interaction.guildId);
+  
+  if (!runId) {
+    if (snapshots.length === 0) {
+      return interaction.reply({ content: 'There are no cleanups in this server that can still be undone.', flags: [1 << 6] });
+    }
+    const lines = snapshots
+      .sort((a, b) => Date.parse(b.deletedAt) - Date.parse(a.deletedAt))
+      .slice(0, 15)
+      .map(snapshot => `\`${snapshot.runId}\` <t:${Math.floor(Date.parse(snapshot.deletedAt) / 1000)}:R> **${snapshot.command}** in <#${snapshot.channelId}> — ${snapshot.messages.length} messages`);
+    return interaction.reply({
+      content: `**Cleanups that can be undone:**\n${lines.join('\n')}\n\nRun \`/cleanundo run:<id>\` to restore one.`,
+      flags: [1 << 6]
+    });
+  }
+  
+  const snapshot = snapshots.find(candidate => candidate.runId === runId);
+  if (!snapshot) {
+    return interaction.reply({
+      content: `No restorable cleanup \`${runId}\` found in this server. It may be older than the undo retention window.`,
+      flags: [1 << 6]
+    });
+  }
+  
+  if (restoringRuns.has(snapshot.runId)) {
+    return interaction.reply({ content: `Cleanup \`${snapshot.runId}\` is already being restored.`, flags: [1 << 6] });
+  }
+  // Claim the run before anything is posted so two moderators can't restore it twice
+  restoringRuns.add(snapshot.runId);
+  try {
+    await restoreSnapshot(interaction, snapshot);
+  } finally {
+    restoringRuns.delete(snapshot.runId);
+  }
+}
+
+// Re-post a snapshot's messages. The snapshot file is only removed once every message is
+// back; messages that couldn't be re-posted stay in it, so the restore can be run again
+async function restoreSnapshot(interaction, snapshot) {
+  const channel = await client.channels.fetch(snapshot.channelId).catch(() => null);
+  if (!channel) {
+    return interaction.reply({ content: 'The channel that cleanup ran in no longer exists.', flags: [1 << 6] });
+  }
+  // Threads have no webhooks of their own: post through their parent's, into the thread
+  const hookChannel = channel.isThread() ? channel.parent : channel;
+  if (!hookChannel) {
+    return interaction.reply({ content: 'The channel that thread belonged to no longer exists.', flags: [1 << 6] });
+  }
+  if (!hookChannel.permissionsFor(channel.guild.members.me).has(PermissionsBitField.Flags.ManageWebhooks)) {
+    return interaction.reply({ content: `I need "Manage Webhooks" permission in <#${hookChannel.id}> to restore messages.`, flags: [1 << 6] });
+  }
+  
+  await interaction.deferReply({ flags: [1 << 6] });
+  
+  let webhook;
+  try {
+    const webhooks = await hookChannel.fetchWebhooks();
+    webhook = webhooks.find(hook => hook.owner && hook.owner.id === client.user.id && hook.name === RESTORE_WEBHOOK_NAME) ||
+      await hookChannel.createWebhook({ name: RESTORE_WEBHOOK_NAME, reason: `Restoring cleanup ${snapshot.runId}` });
+    
+    await channel.send(`Restoring ${snapshot.messages.length} messages removed by cleanup \`${snapshot.runId}\` <t:${Math.floor(Date.parse(snapshot.deletedAt) / 1000)}:R>:`);
+  } catch (error) {
+    console.error('Error restoring cleanup:', error);
+    return interaction.editReply(`There was an error restoring the messages, so none were re-posted. Cleanup \`${snapshot.runId}\` can still be undone.`);
+  }
+  
+  const threadId = channel.isThread() ? channel.id : undefined;
+  const remaining = [];
+  let restored = 0;
+  for (const msg of snapshot.messages) {
+    try {
+      if (await repostMessage(webhook, msg, threadId)) restored++;
+    } catch (error) {
+      console.error(`Error restoring message ${msg.id}:`, error);
+      remaining.push(msg);
+    }
+  }
+  
+  const filePath = path.join(undoDir, `${snapshot.runId}.json`);
+  if (remaining.length === 0) {
+    fs.rmSync(filePath, { force: true });
+  } else {
+    fs.writeFileSync(filePath, JSON.stringify({ ...snapshot, messages: remaining }));
+  }
+  
+  console.log(`Cleanup ${snapshot.runId} restored by ${interaction.user.tag}: ${restored} messages re-posted, ${remaining.length} failed`);
+  const failedNote = remaining.length > 0
+    ? ` ${remaining.length} could not be restored; run \`/cleanundo run:${snapshot.runId}\` again to retry them.`
+    : '';
+  await interaction.editReply(`Restored ${restored} messages from cleanup \`${snapshot.runId}\` in <#${channel.id}>.${failedNote}`);
+}
+
+module.exports = {
+  keepsUndoSnapshot,
+  saveUndoSnapshot,
+  pruneUndoSnapshots,
+  handleCleanUndo
+};
@@ -17,13 +17,108 @@
 /**
  * Discord Message Cleaner Bot - Setup Script
  * 
- * Interactive setup script to help users configure the bot
+ * Interactive setup script to help users configure the bot. With --non-interactive it takes
+ * its answers from flags and environment variables instead, for Docker images and
+ * provisioning tools, and --check reports problems with an existing setup. Run with --help
+ * for the options.
  */
 
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
 const readline = require('readline');
+const { validateConfig } = require('./lib/config-schema');
+const { BOT_PERMISSIONS, buildInviteUrl, clientIdFromToken } = require('./lib/invite');
+
+const configPath = path.join(__dirname, 'config.json');
+const envPath = path.join(__dirname, '.env');
+
+// Options taking a value, with the environment variable each one falls back to
+const VALUE_OPTIONS = {
+  token: 'DISCORD_TOKEN',
+  'client-id': 'DISCORD_CLIENT_ID',
+  prefix: 'CLEANUP_PREFIX',
+  'authorized-users': 'CLEANUP_AUTHORIZED_USERS',
+  'confirmation-timeout': 'CLEANUP_CONFIRMATION_TIMEOUT'
+};
+
+const SWITCHES = ['non-interactive', 'check', 'install', 'help'];
+
+const USAGE = `Usage: npm run setup -- [options]
+
+Without options, setup asks its questions one by one.
+
+  --non-interactive              Take the answers from the options below (or their
+                                 environment variables) and don't ask anything
+  --check                        Check config.json and .env without changing them
+  --install                      With --non-interactive: also run npm install
+
+  --token <token>                Bot token, saved to .env (DISCORD_TOKEN)
+  --authorized-users <ids>       User IDs allowed to use the bot, comma separated
+                                 (CLEANUP_AUTHORIZED_USERS)
+  --prefix <prefix>              Prefix for text commands (CLEANUP_PREFIX)
+  --confirmation-timeout <ms>    How long confirmations stay up (CLEANUP_CONFIRMATION_TIMEOUT)
+  --client-id <id>               Application ID for the invite link, if it can't be read
+                                 from the token (DISCORD_CLIENT_ID)
+
+--non-interactive keeps any other settings already in config.json. It exits with 1 if the
+resulting configuration is invalid, and --check exits with 1 if it finds a problem.
+`;
+
+// Parse the command line into { mode, values, install }. Values given as options win over
+// environment variables. Throws an Error with a user-facing message on invalid input
+function parseSetupArgs(argv, env) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const [name, inlineValue] = argv[i].replace(/^--/, '').split(/=(.*)/s);
+    if (!argv[i].startsWith('--') || (!VALUE_OPTIONS[name] && !SWITCHES.includes(name))) {
+      throw new Error(`Unknown option ${argv[i]}.`);
+    }
+    if (SWITCHES.includes(name)) {
+      options[name] = true;
+    } else if (inlineValue !== undefined) {
+      options[name] = inlineValue;
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      options[name] = argv[++i];
+    } else {
+      throw new Error(`The --${name} option needs a value.`);
+    }
+  }
+
+  if (options['non-interactive'] && options.check) throw new Error('Use either --non-interactive or --check.');
+
+  const values = {};
+  for (const [name, variable] of Object.entries(VALUE_OPTIONS)) {
+    const value = options[name] !== undefined ? options[name] : env[variable];
+    if (value !== undefined && value !== '') values[name] = value;
+  }
+  const mode = options.help ? 'help' : options.check ? 'check' : options['non-interactive'] ? 'non-interactive' : 'interactive';
+  return { mode, values, install: options.install || false };
+}
+
+// Read a KEY=value file such as .env. Returns an empty object if it doesn't exist
+function readEnvFile(file) {
+  if (!fs.existsSync(file)) return {};
+  const values = {};
+  for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+    const match = line.match(/^\s*([\w.-]+)\s*=\s*(.*?)\s*$/);
+    if (match) values[match[1]] = match[2].replace(/^(['"])(.*)\1$/, '$2');
+  }
+  return values;
+}
+
+// Save the token to .env, keeping any other variables in it
+function writeToken(token) {
+  const lines = fs.existsSync(envPath)
+    ? fs.readFileSync(envPath, 'utf8').split(/\r?\n/).filter(line => line && !/^\s*DISCORD_TOKEN\s*=/.test(line))
+    : [];
+  fs.writeFileSync(envPath, `${[`DISCORD_TOKEN=${token}`, ...lines].join('\n')}\n`);
+}
+
+// A bot token is three dot-separated parts
+function looksLikeToken(token) {
+  return /^[\w-]+\.[\w-]+\.[\w-]+$/.test(token);
+}
 
 // ANSI color codes for terminal output
 const colors = {
@@ -36,8 +131,9 @@ const colors = {
   red: '\x1b[31m'
 };
 
-// ASCII art banner
-console.log(`${colors.cyan}
+// Welcome banner and overview of the interactive setup
+function displayWelcome() {
+  console.log(`${colors.cyan}
  ____  _                       _    ____ _                                
 |  _ \\(_)___  ___ ___  _ __ __| |  / ___| | ___  __ _ _ __  _   _ _ __   
 | | | | / __|/ __/ _ \\| '__/ _\` | | |   | |/ _ \\/ _\` | '_ \\| | | | '_ \\  
@@ -46,45 +142,47 @@ console.log(`${colors.cyan}
                                                                  |_|     
 ${colors.reset}`);
 
-console.log(`${colors.bright}Welcome to the Discord Cleanup Bot Setup!${colors.reset}`);
-console.log('This script will guide you through the following steps:');
-console.log('1. Installing required dependencies');
-console.log('2. Creating your bot configuration (command prefix, authorized users)');
-console.log('3. Setting up your Discord bot token');
-console.log('4. Instructions for inviting the bot to your server\n');
+  console.log(`${colors.bright}Welcome to the Discord Cleanup Bot Setup!${colors.reset}`);
+  console.log('This script will guide you through the following steps:');
+  console.log('1. Installing required dependencies');
+  console.log('2. Creating your bot configuration (command prefix, authorized users)');
+  console.log('3. Setting up your Discord bot token');
+  console.log('4. Instructions for inviting the bot to your server\n');
 
-console.log(`${colors.yellow}This setup process will create two files:${colors.reset}`);
-console.log('- config.json: Contains your command settings and authorized users');
-console.log('- .env: Contains your Discord bot token (keep this secure!)\n');
+  console.log(`${colors.yellow}This setup process will create two files:${colors.reset}`);
+  console.log('- config.json: Contains your command settings and authorized users');
+  console.log('- .env: Contains your Discord bot token (keep this secure!)\n');
 
-console.log('Press Ctrl+C at any time to cancel the setup.\n');
+  console.log('Press Ctrl+C at any time to cancel the setup.\n');
+}
 
 // Check if Node.js version is compatible
-const nodeVersion = process.version;
-console.log(`${colors.cyan}Node.js version:${colors.reset} ${nodeVersion}`);
-const majorVersion = parseInt(nodeVersion.slice(1).split('.')[0], 10);
-
-if (majorVersion < 16) {
-  console.log(`${colors.red}Error: Node.js version 16.9.0 or higher is required.${colors.reset}`);
-  console.log('Please upgrade your Node.js installation and try again.');
-  process.exit(1);
+function checkNodeVersion() {
+  const nodeVersion = process.version;
+  console.log(`${colors.cyan}Node.js version:${colors.reset} ${nodeVersion}`);
+  const majorVersion = parseInt(nodeVersion.slice(1).split('.')[0], 10);
+
+  if (majorVersion < 16) {
+    console.log(`${colors.red}Error: Node.js version 16.9.0 or higher is required.${colors.reset}`);
+    console.log('Please upgrade your Node.js installation and try again.');
+    process.exit(1);
+  }
 }
 
 // Check for npm
-try {
-  const npmVersion = execSync('npm --version').toString().trim();
-  console.log(`${colors.cyan}npm version:${colors.reset} ${npmVersion}\n`);
-} catch (error) {
-  console.log(`${colors.red}Error: npm is not installed or not in your PATH.${colors.reset}`);
-  console.log('Please install npm and try again.');
-  process.exit(1);
+function checkNpm() {
+  try {
+    const npmVersion = execSync('npm --version').toString().trim();
+    console.log(`${colors.cyan}npm version:${colors.reset} ${npmVersion}\n`);
+  } catch (error) {
+    console.log(`${colors.red}Error: npm is not installed or not in your PATH.${colors.reset}`);
+    console.log('Please install npm and try again.');
+    process.exit(1);
+  }
 }
 
-// Create readline interface for user input
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+// Readline interface for user input, created when the interactive setup starts
+let rl = null;
 
 // Promise-based question function
 function question(query) {
@@ -130,8 +228,14 @@ async function configureBotSettings() {
   console.log('Let\'s set up your bot configuration...\n');
   
   // Get command prefix
-  let prefix = await question('Enter the command prefix for text commands (default is "!"): ');
-  if (!prefix.trim()) prefix = '!';
+  let prefix = '';
+  while (!prefix) {
+    prefix = (await question('Enter the command prefix for text commands (default is "!"): ')).trim() || '!';
+    if (validateConfig({ prefix }).errors.length > 0) {
+      console.log(`${colors.red}The prefix must be 1 to 5 characters without spaces.${colors.reset}`);
+      prefix = '';
+    }
+  }
   
   // Instructions for finding Discord User ID
   console.log('\n=== How to Find Your Discord User ID ===');
@@ -189,11 +293,15 @@ async function configureBotSettings() {
     deleteConfirmationTimeout: timeout
   };
   
+  // Check it the way the bot will before saving
+  const { errors } = validateConfig(config);
+  if (errors.length > 0) {
+    errors.forEach(error => console.log(`${colors.red}${error}${colors.reset}`));
+    return false;
+  }
+  
   // Save config to file
-  fs.writeFileSync(
-    path.join(__dirname, 'config.json'),
-    JSON.stringify(config, null, 2)
-  );
+  fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
   
   console.log(`${colors.green}Configuration saved to config.json${colors.reset}\n`);
   return true;
@@ -216,24 +324,31 @@ async function setupBotToken() {
   
   let token = '';
   while (!token) {
-    token = await question('Enter your Discord Bot Token: ');
-    if (!token.trim()) {
+    token = (await question('Enter your Discord Bot Token: ')).trim();
+    if (!token) {
       console.log(`${colors.red}Token cannot be empty.${colors.reset}`);
+    } else if (!looksLikeToken(token)) {
+      console.log(`${colors.red}That doesn't look like a bot token. It has three parts separated by dots.${colors.reset}`);
+      token = '';
     }
   }
   
-  // Create .env file with token
-  fs.writeFileSync(
-    path.join(__dirname, '.env'),
-    `DISCORD_TOKEN=${token}\n`
-  );
+  // Save the token to .env
+  writeToken(token);
   
   console.log(`${colors.green}Bot token saved to .env file${colors.reset}\n`);
-  return true;
+  return token;
+}
+
+// The invite link for the bot, or null without a client ID
+function describeInvite(clientId) {
+  if (!clientId) return null;
+  const permissions = BOT_PERMISSIONS.map(permission => `  - ${permission.name}: to ${permission.reason}`);
+  return [buildInviteUrl(clientId), '', 'It asks for these permissions:', ...permissions].join('\n');
 }
 
-// Step 4: Display instructions for inviting the bot
-function displayInviteInstructions() {
+// Step 4: Display instructions for enabling intents and the link for inviting the bot
+async function displayInviteInstructions(token) {
   console.log(`${colors.yellow}Step 4: Configuring Bot Permissions and Inviting to Server${colors.reset}`);
   
   console.log('\n=== Part 1: Enable Required Gateway Intents ===');
@@ -247,23 +362,15 @@ function displayInviteInstructions() {
   console.log('   ✓ MESSAGE CONTENT INTENT  <-- This one is ESSENTIAL');
   console.log('6. Click "Save Changes" at the bottom of the page\n');
   
-  console.log('=== Part 2: Configure OAuth2 URL and Invite Bot ===');
-  console.log('1. Go to "OAuth2" → "URL Generator" in the left sidebar');
-  console.log('2. Under "SCOPES" section, check these boxes:');
-  console.log('   ✓ bot');
-  console.log('   ✓ applications.commands');
-  console.log('3. Under "BOT PERMISSIONS" section, select:');
-  console.log('   ✓ Read Messages/View Channels');
-  console.log('   ✓ Send Messages');
-  console.log('   ✓ Send Messages in Threads');
-  console.log('   ✓ Manage Messages            <-- Essential for deleting messages');
-  console.log('   ✓ Read Message History');
-  console.log('   ✓ Use Slash Commands');
-  console.log('4. Scroll down and copy the generated URL');
-  console.log('5. Paste the URL in your browser');
-  console.log('6. Select your server from the dropdown');
-  console.log('7. Click "Authorize"');
-  console.log('8. Complete the CAPTCHA if prompted\n');
+  console.log('=== Part 2: Invite the Bot ===');
+  let clientId = clientIdFromToken(token);
+  while (!clientId) {
+    const answer = (await question('Enter your Application ID (General Information page in the Developer Portal): ')).trim();
+    if (/^\d+$/.test(answer)) clientId = answer;
+    else console.log(`${colors.red}The Application ID contains only numbers.${colors.reset}`);
+  }
+  console.log('Open this link, select your server from the dropdown and click "Authorize":');
+  console.log(`${colors.cyan}${describeInvite(clientId)}${colors.reset}\n`);
   
   console.log(`${colors.green}Setup complete!${colors.reset}`);
   console.log(`To start your bot, run: ${colors.cyan}npm start${colors.reset}`);
@@ -277,8 +384,17 @@ function displayInviteInstructions() {
   console.log('4. The bot is properly invited to the channels where you want to use it\n');
 }
 
-// Main setup function
-async function runSetup() {
+// Interactive setup: ask the questions step by step
+async function runInteractiveSetup() {
+  displayWelcome();
+  checkNodeVersion();
+  checkNpm();
+  
+  rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+  
   try {
     // Execute setup steps in sequence
     const dependenciesInstalled = await installDependencies();
@@ -287,9 +403,9 @@ async function runSetup() {
       process.exit(1);
     }
     
-    await configureBotSettings();
-    await setupBotToken();
-    displayInviteInstructions();
+    if (!await configureBotSettings()) process.exit(1);
+    const token = await setupBotToken();
+    await displayInviteInstructions(token);
     
     rl.close();
   } catch (error) {
@@ -299,4 +415,124 @@ async function runSetup() {
   }
 }
 
+// Read config.json. Returns { config }, with a null config if the file doesn't exist, or
+// { error } if it can't be parsed
+function readConfigFile() {
+  if (!fs.existsSync(configPath)) return { config: null };
+  try {
+    return { config: JSON.parse(fs.readFileSync(configPath, 'utf8')) };
+  } catch (error) {
+    return { error: `config.json could not be read: ${error.message}` };
+  }
+}
+
+// Non-interactive setup: write config.json and .env from the options and environment.
+// Returns the exit code
+function runNonInteractiveSetup({ values, install }) {
+  checkNodeVersion();
+  if (install) {
+    checkNpm();
+    execSync('npm install', { stdio: 'inherit' });
+  }
+  
+  const existing = readConfigFile();
+  if (existing.error) {
+    console.error(`${colors.red}${existing.error}${colors.reset}`);
+    return 1;
+  }
+  const config = existing.config || {};
+  
+  if (values.prefix !== undefined) config.prefix = values.prefix;
+  if (values['authorized-users'] !== undefined) {
+    config.authorizedUsers = values['authorized-users'].split(/[\s,]+/).filter(Boolean);
+  }
+  if (values['confirmation-timeout'] !== undefined) {
+    // Anything but digits is kept as text, for the schema to report
+    const text = values['confirmation-timeout'];
+    config.deleteConfirmationTimeout = /^\d+$/.test(text) ? Number(text) : text;
+  }
+  
+  const errors = validateConfig(config).errors;
+  if ((!config.authorizedUsers || config.authorizedUsers.length === 0) && !(config.permissionRules || []).length) {
+    errors.push('Nobody could use the bot: give --authorized-users (or CLEANUP_AUTHORIZED_USERS).');
+  }
+  const token = values.token || readEnvFile(envPath).DISCORD_TOKEN;
+  if (!token) {
+    errors.push('The bot token is missing: give --token (or DISCORD_TOKEN).');
+  } else if (!looksLikeToken(token)) {
+    errors.push('The bot token doesn\'t look like one: it has three parts separated by dots.');
+  }
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`${colors.red}${error}${colors.reset}`));
+    console.error('Nothing was changed.');
+    return 1;
+  }
+  
+  fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+  console.log(`${colors.green}Configuration saved to config.json${colors.reset}`);
+  if (values.token) {
+    writeToken(values.token);
+    console.log(`${colors.green}Bot token saved to .env file${colors.reset}`);
+  }
+  
+  const invite = describeInvite(values['client-id'] || clientIdFromToken(token));
+  if (invite) console.log(`\nInvite the bot with:\n${invite}`);
+  return 0;
+}
+
+// --check: report problems with config.json and the token without changing anything.
+// Returns the exit code
+function runCheck({ values }) {
+  const errors = [];
+  const warnings = [];
+  
+  const existing = readConfigFile();
+  if (existing.error) {
+    errors.push(existing.error);
+  } else if (!existing.config) {
+    warnings.push('config.json does not exist, so the defaults are used and only permission rules can authorize anyone.');
+  } else {
+    const result = validateConfig(existing.config);
+    errors.push(...result.errors.map(error => `config.json: ${error}`));
+    warnings.push(...result.warnings.map(warning => `config.json: ${warning}`));
+  }
+  
+  const token = values.token || readEnvFile(envPath).DISCORD_TOKEN;
+  if (!token) errors.push('DISCORD_TOKEN is not set in .env or the environment.');
+  else if (!looksLikeToken(token)) errors.push('DISCORD_TOKEN doesn\'t look like a bot token: it has three parts separated by dots.');
+  
+  if (!fs.existsSync(path.join(__dirname, 'node_modules', 'discord.js'))) {
+    warnings.push('Dependencies are not installed. Run npm install.');
+  }
+  
+  warnings.forEach(warning => console.log(`${colors.yellow}Warning: ${warning}${colors.reset}`));
+  errors.forEach(error => console.log(`${colors.red}Error: ${error}${colors.reset}`));
+  if (errors.length === 0) console.log(`${colors.green}The configuration is valid.${colors.reset}`);
+  
+  const invite = describeInvite(values['client-id'] || (token && clientIdFromToken(token)));
+  if (invite) console.log(`\nInvite link:\n${invite}`);
+  return errors.length > 0 ? 1 : 0;
+}
+
+// Main setup function
+function runSetup() {
+  let parsed;
+  try {
+    parsed = parseSetupArgs(process.argv.slice(2), process.env);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  
+  if (parsed.mode === 'help') {
+    console.log(USAGE);
+  } else if (parsed.mode === 'check') {
+    process.exitCode = runCheck(parsed);
+  } else if (parsed.mode === 'non-interactive') {
+    process.exitCode = runNonInteractiveSetup(parsed);
+  } else {
+    runInteractiveSetup();
+  }
+}
+
 runSetup();
@@ -0,0 +1,152 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('./helpers/setup');
+const { createGuild, createChannel, createUser } = require('./helpers/fake-discord');
+const { buildMessageFilter } = require('../lib/options');
+const { findPrefixCommand } = require('../lib/commands');
+const { parseCommandLine, tokenize } = require('../lib/registry');
+const { parseSchedule, getNextRun } = require('../lib/schedules');
+const { parseDuration, rangeBetween, rangeFromMessageIds, rangeSince, snowflakeFromTimestamp } = require('../lib/time');
+
+// Parse a prefix command line the way handleMessage does
+function parse(commandLine, guild = createGuild()) {
+  const [name, ...rest] = commandLine.split(' ');
+  return parseCommandLine(findPrefixCommand(name), rest.join(' '), { guild, client: null, prefix: '!' });
+}
+
+test('tokenize keeps quoted text together', () => {
+  const tokens = tokenize('50 contains:"free nitro" --regex \'a b\' “curly quotes”');
+
+  assert.deepStrictEqual(tokens.map(token => token.text), ['50', 'contains:free nitro', '--regex', 'a b', 'curly quotes']);
+  assert.deepStrictEqual(tokens.map(token => token.quoted), [false, true, false, true, true]);
+  assert.throws(() => tokenize('contains:"free nitro'), { message: 'A quoted value is missing its closing quote.' });
+});
+
+test('tokenize leaves apostrophes inside words alone', () => {
+  const tokens = tokenize('50 --contains don\'t click contains=‘it‘s’ l‘oeil');
+
+  assert.deepStrictEqual(tokens.map(token => token.text), ['50', '--contains', 'don\'t', 'click', 'contains=it‘s', 'l‘oeil']);
+});
+
+test('parseCommandLine reads positional arguments, --flags and name:value options', async () => {
+  const { values } = await parse('clean 50 --bots-only --contains free nitro dry-run:yes archive:HTML');
+
+  assert.deepStrictEqual(values, { amount: 50, 'bots-only': true, contains: 'free nitro', preview: true, archive: 'html' });
+});
+
+test('parseCommandLine reads subcommands and resolves users and channels', async () => {
+  const guild = createGuild();
+  const channel = createChannel(guild);
+  const user = createUser({ id: '111' });
+  guild.members.cache.set(user.id, { id: user.id, user });
+
+  const { subcommand, values } = await parse(`cleanschedule add <#${channel.id}> "every 6h" keep-pinned:no`, guild);
+  assert.strictEqual(subcommand, 'add');
+  assert.deepStrictEqual(values, { channel, when: 'every 6h', 'keep-pinned': false });
+
+  const purge = await parse('purgeuser <@111> 2h', guild);
+  assert.strictEqual(purge.values.user, user);
+});
+
+test('parseCommandLine rejects invalid input with a usage hint', async () => {
+  await assert.rejects(parse('clean 10 --everything'), { message: 'Unknown option --everything.' });
+  await assert.rejects(parse('clean 10 --contains'), { message: 'The --contains option needs a value.' });
+  await assert.rejects(parse('clean 10 --contains --bots-only'), { message: 'The --contains option needs a value.' });
+  await assert.rejects(parse('clean 10 20'), { message: 'Unexpected argument "20".' });
+  await assert.rejects(parse('clean 10 --archive pdf'), { message: 'The archive option takes one of: json, txt, html.' });
+  await assert.rejects(parse('clean 0'), { message: 'The amount option takes a whole number between 1 and 5000.' });
+  await assert.rejects(parse('clean'), { message: 'Please provide the amount option. Usage: `!clean <amount> [options]`' });
+  await assert.rejects(parse('cleanperm grant'), /Please choose one of: allow, deny, remove, list/);
+});
+
+test('buildMessageFilter returns null when no filter is set', () => {
+  assert.strictEqual(buildMessageFilter({}), null);
+  assert.strictEqual(buildMessageFilter({ contains: null, 'bots-only': false }), null);
+});
+
+test('buildMessageFilter combines every filter that was set', () => {
+  const channel = createChannel(createGuild());
+  const bot = createUser({ id: '111', bot: true });
+  const human = createUser({ id: '222' });
+  const filter = buildMessageFilter({ 'bots-only': true, contains: 'Spam' });
+
+  assert.strictEqual(filter(channel.addMessage({ author: bot, content: 'buy spam now' })), true);
+  assert.strictEqual(filter(channel.addMessage({ author: bot, content: 'hello' })), false);
+  assert.strictEqual(filter(channel.addMessage({ author: human, content: 'buy spam now' })), false);
+  assert.deepStrictEqual(filter.criteria, { contains: 'Spam', 'bots-only': true });
+});
+
+test('buildMessageFilter accepts user mentions and IDs', () => {
+  const channel = createChannel(createGuild());
+  const filter = buildMessageFilter({ user: '<@111>, 222 <@!333>' });
+
+  for (const id of ['111', '222', '333']) {
+    assert.strictEqual(filter(channel.addMessage({ author: createUser({ id }) })), true);
+  }
+  assert.strictEqual(filter(channel.addMessage({ author: createUser({ id: '444' }) })), false);
+});
+
+test('buildMessageFilter rejects invalid input', () => {
+  assert.throws(() => buildMessageFilter({ 'bots-only': true, 'humans-only': true }), /cannot be used together/);
+  assert.throws(() => buildMessageFilter({ user: 'someone' }), /only accepts user mentions or IDs/);
+  assert.throws(() => buildMessageFilter({ regex: '(' }), /Invalid regular expression/);
+  assert.throws(() => buildMessageFilter({ regex: 'a'.repeat(201) }), { message: 'The regex filter can be at most 200 characters long.' });
+  for (const slow of ['(a+)+$', '(\\w*)*x', '(?:a|(b+))+', '((ab)*c){2,}']) {
+    assert.throws(() => buildMessageFilter({ regex: slow }), /repeats a group that already repeats/, slow);
+  }
+  for (const fine of ['(free|cheap) nitro+', '[(+*)]+', '(ab)+c*', '\\(a+\\)+', '(?:https?://)?\\S+']) {
+    assert.ok(buildMessageFilter({ regex: fine }), fine);
+  }
+});
+
+test('parseSchedule treats 7 as Sunday in day-of-week ranges and lists', () => {
+  assert.deepStrictEqual([...parseSchedule('0 4 * * 1-7').weekdays].sort(), [0, 1, 2, 3, 4, 5, 6]);
+  assert.deepStrictEqual([...parseSchedule('0 4 * * 5-7').weekdays].sort(), [0, 5, 6]);
+  assert.deepStrictEqual([...parseSchedule('0 4 * * 7,0').weekdays], [0]);
+  assert.strictEqual(parseSchedule('0 4 * * 8'), null);
+});
+
+test('getNextRun finds rare cron dates', () => {
+  // 29 February 2028 is more than a year ahead
+  const schedule = { id: 'test-leap', when: '30 6 29 2 *', createdAt: new Date(2025, 0, 10).toISOString() };
+  assert.strictEqual(getNextRun(schedule, null), Infinity);
+
+  const leap = { ...schedule, id: 'test-leap-2', createdAt: new Date(2027, 5, 1).toISOString() };
+  assert.strictEqual(getNextRun(leap, null), new Date(2028, 1, 29, 6, 30).getTime());
+  assert.strictEqual(getNextRun({ ...leap, when: '0 0 * * 0' }, null), new Date(2027, 5, 6).getTime());
+});
+
+test('parseDuration understands combined units', () => {
+  assert.strictEqual(parseDuration('30m'), 30 * 60 * 1000);
+  assert.strictEqual(parseDuration('1h30m'), 90 * 60 * 1000);
+  assert.strictEqual(parseDuration(' 2D '), 2 * 24 * 60 * 60 * 1000);
+  assert.strictEqual(parseDuration('1w'), 7 * 24 * 60 * 60 * 1000);
+  assert.strictEqual(parseDuration('0m'), null);
+  assert.strictEqual(parseDuration('90'), null);
+  assert.strictEqual(parseDuration('an hour'), null);
+});
+
+test('rangeFromMessageIds orders the two IDs', () => {
+  assert.deepStrictEqual(rangeFromMessageIds('300', '100'), { from: 100n, to: 300n, description: 'between the two messages' });
+  assert.throws(() => rangeFromMessageIds('300'), /two valid message IDs/);
+  assert.throws(() => rangeFromMessageIds('abc', '100'), /two valid message IDs/);
+});
+
+test('rangeSince starts the given duration ago and has no end', () => {
+  const before = Date.now();
+  const range = rangeSince('2h');
+
+  assert.strictEqual(range.to, null);
+  assert.ok(range.from >= snowflakeFromTimestamp(before - 2 * 60 * 60 * 1000));
+  assert.ok(range.from <= snowflakeFromTimestamp(Date.now() - 2 * 60 * 60 * 1000));
+  assert.throws(() => rangeSince('soon'), /Please provide a duration/);
+});
+
+test('rangeBetween covers both timestamps', () => {
+  const range = rangeBetween('2025-03-08T14:00:00Z', '2025-03-08T15:00:00Z');
+
+  assert.strictEqual(range.from, snowflakeFromTimestamp(Date.parse('2025-03-08T14:00:00Z')));
+  assert.strictEqual(range.to, snowflakeFromTimestamp(Date.parse('2025-03-08T15:00:00Z') + 1) - 1n);
+  assert.throws(() => rangeBetween('yesterday', '2025-03-08T15:00:00Z'), /ISO 8601/);
+  assert.throws(() => rangeBetween('2025-03-08T15:00:00Z', '2025-03-08T14:00:00Z'), /must be before/);
+});
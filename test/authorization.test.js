@@ -0,0 +1,91 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { resetConfig } = require('./helpers/setup');
+const { createGuild, createMember, createChannel } = require('./helpers/fake-discord');
+const { checkAuthorization } = require('../lib/permissions');
+
+let guild;
+let channel;
+
+beforeEach(() => {
+  resetConfig();
+  guild = createGuild();
+  channel = createChannel(guild);
+});
+
+test('bot owners are always allowed without a limit', () => {
+  resetConfig({ authorizedUsers: ['100'] });
+  const owner = createMember(guild, { id: '100' });
+
+  assert.deepStrictEqual(checkAuthorization(owner, channel, 'clean'), { allowed: true, maxAmount: null });
+});
+
+test('members are refused when no rule allows them', () => {
+  const member = createMember(guild, { id: '200' });
+
+  const result = checkAuthorization(member, channel, 'clean');
+
+  assert.strictEqual(result.allowed, false);
+  assert.strictEqual(result.reason, 'You are not authorized to use this bot.');
+});
+
+test('a role rule allows members with that role', () => {
+  resetConfig({ permissionRules: [{ effect: 'allow', roleId: 'mods' }] });
+
+  assert.strictEqual(checkAuthorization(createMember(guild, { roles: ['mods'] }), channel, 'clean').allowed, true);
+  assert.strictEqual(checkAuthorization(createMember(guild), channel, 'clean').allowed, false);
+});
+
+test('a permission rule allows members holding that permission', () => {
+  resetConfig({ permissionRules: [{ effect: 'allow', permission: 'ManageMessages' }] });
+
+  assert.strictEqual(checkAuthorization(createMember(guild, { permissions: ['ManageMessages'] }), channel, 'clean').allowed, true);
+  assert.strictEqual(checkAuthorization(createMember(guild, { permissions: ['SendMessages'] }), channel, 'clean').allowed, false);
+});
+
+test('a deny rule wins over allow rules', () => {
+  resetConfig({
+    permissionRules: [
+      { effect: 'allow', roleId: 'mods' },
+      { effect: 'deny', userId: '300' }
+    ]
+  });
+  const member = createMember(guild, { id: '300', roles: ['mods'] });
+
+  const result = checkAuthorization(member, channel, 'clean');
+
+  assert.strictEqual(result.allowed, false);
+  assert.strictEqual(result.reason, 'You are not allowed to use this command here.');
+});
+
+test('rules only apply in their server, channel and commands', () => {
+  const otherChannel = createChannel(guild, { name: 'other' });
+  resetConfig({ permissionRules: [{ effect: 'allow', guildId: guild.id, channelId: channel.id, commands: ['clean'] }] });
+  const member = createMember(guild);
+
+  assert.strictEqual(checkAuthorization(member, channel, 'clean').allowed, true);
+  assert.strictEqual(checkAuthorization(member, otherChannel, 'clean').allowed, false);
+  assert.strictEqual(checkAuthorization(member, channel, 'cleanuntil').allowed, false);
+  assert.strictEqual(checkAuthorization(member, createChannel(createGuild(), { id: channel.id }), 'clean').allowed, false);
+});
+
+test('the most generous matching rule sets the limit', () => {
+  resetConfig({
+    permissionRules: [
+      { effect: 'allow', maxAmount: 20 },
+      { effect: 'allow', roleId: 'mods', maxAmount: 100 }
+    ]
+  });
+
+  assert.strictEqual(checkAuthorization(createMember(guild), channel, 'clean').maxAmount, 20);
+  assert.strictEqual(checkAuthorization(createMember(guild, { roles: ['mods'] }), channel, 'clean').maxAmount, 100);
+});
+
+test('limited rules do not grant commands that delete an unbounded number of messages', () => {
+  resetConfig({ permissionRules: [{ effect: 'allow', maxAmount: 20 }] });
+  const member = createMember(guild);
+
+  assert.strictEqual(checkAuthorization(member, channel, 'clean').allowed, true);
+  assert.strictEqual(checkAuthorization(member, channel, 'cleanuntil').allowed, false);
+  assert.strictEqual(checkAuthorization(member, channel, 'purgeuser').allowed, false);
+});
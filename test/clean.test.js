@@ -0,0 +1,255 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { config, resetConfig } = require('./helpers/setup');
+const { DAY, discordError, snowflakeAt, createGuild, createChannel, createMember } = require('./helpers/fake-discord');
+const { client } = require('../lib/client');
+const { buildMessageFilter } = require('../lib/options');
+const { cleanMessages } = require('../lib/cleanup');
+
+// Run a cleanup and return its stats along with the responses it sent
+async function clean(channel, amount, options = {}) {
+  const responses = [];
+  const stats = await cleanMessages(channel, amount, async response => {
+    responses.push(response);
+  }, { invokerId: '1', command: 'clean', ...options });
+  return { stats, responses };
+}
+
+beforeEach(() => resetConfig());
+
+test('clean deletes the newest messages with one bulk delete', async () => {
+  const channel = createChannel(createGuild());
+  const messages = channel.populate(10);
+
+  const { stats, responses } = await clean(channel, 4);
+
+  assert.strictEqual(stats.deleted, 4);
+  assert.deepStrictEqual(channel.deletedIds.sort(), messages.slice(0, 4).map(msg => msg.id).sort());
+  assert.deepStrictEqual(channel.calls.filter(call => call.method === 'bulkDelete').length, 1);
+  assert.strictEqual(responses[0], 'Successfully deleted 4 messages.');
+});
+
+test('clean pages through history for amounts over 100', async () => {
+  const channel = createChannel(createGuild());
+  channel.populate(260);
+
+  const { stats } = await clean(channel, 250);
+
+  assert.strictEqual(stats.deleted, 250);
+  assert.strictEqual(channel.history.size, 10);
+  const fetches = channel.calls.filter(call => call.method === 'fetch');
+  assert.deepStrictEqual(fetches.map(call => call.options.limit), [100, 100, 50]);
+  assert.ok(fetches[1].options.before, 'later pages continue before the last message seen');
+});
+
+test('clean stops when the channel runs out of messages', async () => {
+  const channel = createChannel(createGuild());
+  channel.populate(3);
+
+  const { stats, responses } = await clean(channel, 50);
+
+  assert.strictEqual(stats.deleted, 3);
+  assert.strictEqual(channel.history.size, 0);
+  assert.strictEqual(responses[0], 'Successfully deleted 3 messages.');
+});
+
+test('clean deletes messages older than 14 days one at a time', async () => {
+  const channel = createChannel(createGuild());
+  const recent = channel.populate(3);
+  const old = channel.populate(2, { newestAge: 20 * DAY });
+
+  const { stats } = await clean(channel, 5);
+
+  assert.strictEqual(stats.deleted, 5);
+  const bulk = channel.calls.filter(call => call.method === 'bulkDelete');
+  assert.strictEqual(bulk.length, 1);
+  assert.deepStrictEqual(bulk[0].ids.sort(), recent.map(msg => msg.id).sort());
+  const single = channel.calls.filter(call => call.method === 'delete').map(call => call.id);
+  assert.deepStrictEqual(single.sort(), old.map(msg => msg.id).sort());
+});
+
+test('clean deletes a lone message without bulk delete', async () => {
+  const channel = createChannel(createGuild());
+  channel.populate(1);
+
+  const { stats } = await clean(channel, 1);
+
+  assert.strictEqual(stats.deleted, 1);
+  assert.deepStrictEqual(channel.calls.filter(call => call.method !== 'fetch').map(call => call.method), ['delete']);
+});
+
+test('clean keeps pinned messages and reports them as protected', async () => {
+  const channel = createChannel(createGuild());
+  channel.populate(2);
+  const pinned = channel.addMessage({ createdTimestamp: Date.now() - 30 * 1000, pinned: true });
+
+  const { stats, responses } = await clean(channel, 3);
+
+  assert.strictEqual(stats.deleted, 2);
+  assert.deepStrictEqual(stats.protected, { pinned: 1 });
+  assert.ok(channel.history.has(pinned.id));
+  assert.match(responses[0], /1 were kept as protected \(1 pinned\)/);
+});
+
+test('clean looks up uncached authors for the role rule and keeps messages it cannot check', async () => {
+  resetConfig({ protection: { ...config.protection, roles: ['staff'] } });
+  const guild = createGuild();
+  const channel = createChannel(guild);
+  const staff = createMember(guild, { roles: ['staff'] });
+  const stranger = createMember(guild);
+  // msg.member is null for both, as for history fetched with the members uncached
+  const fromStaff = channel.addMessage({ createdTimestamp: Date.now() - 50 * 1000, author: staff.user });
+  const fromStranger = channel.addMessage({ createdTimestamp: Date.now() - 40 * 1000, author: stranger.user });
+  channel.populate(1);
+
+  const { stats } = await clean(channel, 3);
+  assert.strictEqual(stats.deleted, 2);
+  assert.deepStrictEqual(stats.protected, { role: 1 });
+  assert.ok(channel.history.has(fromStaff.id));
+  assert.ok(!channel.history.has(fromStranger.id));
+
+  // When the lookup fails for another reason, the author might hold the role
+  guild.members.fetch = async () => { throw discordError(500, 0, 'Internal Server Error'); };
+  const unknown = channel.addMessage({ createdTimestamp: Date.now() - 30 * 1000 });
+  const { stats: second } = await clean(channel, 2);
+  assert.strictEqual(second.deleted, 0);
+  assert.deepStrictEqual(second.protected, { role: 2 });
+  assert.ok(channel.history.has(unknown.id));
+});
+
+test('clean falls back to single deletes when a bulk delete fails', async () => {
+  const channel = createChannel(createGuild());
+  channel.populate(3);
+  channel.injectFailure('bulkDelete', discordError(403, 50013, 'Missing Permissions'));
+
+  const { stats } = await clean(channel, 3);
+
+  assert.strictEqual(stats.deleted, 3);
+  assert.strictEqual(channel.calls.filter(call => call.method === 'delete').length, 3);
+});
+
+test('clean reports messages that could not be deleted', async () => {
+  const channel = createChannel(createGuild());
+  const [newest] = channel.populate(1, { newestAge: 20 * DAY });
+  channel.injectFailure('delete', discordError(403, 50013, 'Missing Permissions'), { id: newest.id });
+
+  const { stats, responses } = await clean(channel, 1);
+
+  assert.strictEqual(stats.deleted, 0);
+  assert.strictEqual(stats.failed, 1);
+  assert.deepStrictEqual(stats.failureReasons, { 'Missing Permissions (403)': 1 });
+  assert.match(responses[0], /1 could not be deleted \(1 Missing Permissions \(403\)\)/);
+});
+
+test('only messages that were deleted go into the undo snapshot', async () => {
+  resetConfig({ undoRetention: DAY });
+  const channel = createChannel(createGuild());
+  const [newest, ...rest] = channel.populate(3, { newestAge: 20 * DAY });
+  channel.injectFailure('delete', discordError(403, 50013, 'Missing Permissions'), { id: newest.id });
+
+  const { stats } = await clean(channel, 3, { source: 'slash' });
+
+  assert.strictEqual(stats.deleted, 2);
+  assert.ok(channel.history.has(newest.id));
+  assert.deepStrictEqual(stats.archivedMessages.map(copy => copy.id).sort(), rest.map(msg => msg.id).sort());
+});
+
+test('transcripts of channels with slashes in their name stay in the archive directory', async () => {
+  resetConfig({ archiveDir: path.join(config.dataDir, 'archives') });
+  const channel = createChannel(createGuild(), { name: '../../what/is this?' });
+  channel.populate(2);
+
+  const { stats } = await clean(channel, 2, { archive: 'txt' });
+
+  assert.strictEqual(stats.archiveFile, `transcript-what_is_this-${stats.runId}.txt`);
+  assert.ok(fs.existsSync(path.join(config.archiveDir, stats.archiveFile)));
+});
+
+test('long field values are cut short in the mod-log post', async (t) => {
+  const guild = createGuild();
+  const channel = createChannel(guild);
+  const modLog = createChannel(guild, { id: snowflakeAt(Date.now() - 300 * DAY), name: 'mod-log' });
+  resetConfig({ modLogChannels: { [guild.id]: modLog.id } });
+  const { fetch } = client.channels;
+  t.after(() => {
+    client.channels.fetch = fetch;
+  });
+  client.channels.fetch = async () => modLog;
+  const text = 'spam '.repeat(400);
+  channel.populate(2, { content: text });
+
+  await clean(channel, 2, { filter: buildMessageFilter({ contains: text }) });
+
+  const [post] = [...modLog.history.values()];
+  const filterField = post.embeds[0].data.fields.find(field => field.name === 'Filter');
+  assert.strictEqual(filterField.value.length, 1024);
+  assert.ok(filterField.value.endsWith('...'));
+});
+
+test('clean counts messages someone else already deleted as deleted', async () => {
+  const channel = createChannel(createGuild());
+  const [message] = channel.populate(1);
+  channel.injectFailure('delete', discordError(404, 10008, 'Unknown Message'), { id: message.id });
+
+  const { stats } = await clean(channel, 1);
+
+  assert.strictEqual(stats.deleted, 1);
+  assert.strictEqual(stats.failed, 0);
+});
+
+test('clean only deletes messages matching its filter', async () => {
+  const channel = createChannel(createGuild());
+  channel.populate(4, { content: 'hello' });
+  const links = channel.populate(2, { newestAge: 10 * 1000, content: 'see https://example.com' });
+
+  const { stats } = await clean(channel, 10, { filter: buildMessageFilter({ 'has-link': true }) });
+
+  assert.strictEqual(stats.deleted, 2);
+  assert.deepStrictEqual(channel.deletedIds.sort(), links.map(msg => msg.id).sort());
+});
+
+test('clean asks for confirmation above the confirm threshold', async () => {
+  resetConfig({ confirmThreshold: 5 });
+  const channel = createChannel(createGuild());
+  channel.populate(8);
+
+  const { stats, responses } = await clean(channel, 8);
+
+  assert.strictEqual(stats, undefined);
+  assert.strictEqual(channel.deletedIds.length, 0);
+  assert.match(responses[0].content, /confirm before anything is deleted/);
+  assert.strictEqual(responses[0].components.length, 1);
+});
+
+test('clean reports an error when fetching fails', async () => {
+  const channel = createChannel(createGuild());
+  channel.populate(3);
+  channel.injectFailure('fetch', discordError(403, 50001, 'Missing Access'));
+
+  const { stats, responses } = await clean(channel, 3);
+
+  assert.strictEqual(stats.error, 'Missing Access');
+  assert.strictEqual(stats.deleted, 0);
+  assert.match(responses[0], /There was an error deleting messages/);
+});
+
+test('undo snapshots are only kept when undoRetention is set, and never for retention, schedules, auto-mod or /cleanmine', async () => {
+  const channel = createChannel(createGuild());
+  channel.populate(20);
+
+  const { stats: disabled } = await clean(channel, 2, { source: 'slash' });
+  resetConfig({ undoRetention: DAY });
+  const { stats: enabled } = await clean(channel, 2, { source: 'slash' });
+  const skipped = [
+    await clean(channel, 2, { source: 'retention', command: 'retention' }),
+    await clean(channel, 2, { source: 'schedule', command: 'schedule' }),
+    await clean(channel, 2, { source: 'automod', command: 'automod' }),
+    await clean(channel, 2, { source: 'slash', command: 'cleanmine' })
+  ];
+
+  assert.strictEqual(disabled.archivedMessages, null);
+  assert.strictEqual(enabled.archivedMessages.length, 2);
+  for (const { stats } of skipped) assert.strictEqual(stats.archivedMessages, null);
+});
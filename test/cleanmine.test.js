@@ -0,0 +1,136 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { resetConfig } = require('./helpers/setup');
+const { PermissionsBitField } = require('discord.js');
+const {
+  createGuild,
+  createMember,
+  createChannel,
+  createCommandMessage,
+  createCommandInteraction,
+  snowflakeAt,
+  DAY
+} = require('./helpers/fake-discord');
+const { handleMessage } = require('../lib/prefix-commands');
+const { handleInteraction } = require('../lib/interactions');
+
+let guild;
+let channel;
+let nextMemberId = 500;
+
+beforeEach(() => {
+  resetConfig({ authorizedUsers: ['100'] });
+  guild = createGuild();
+  channel = createChannel(guild);
+});
+
+// A member who isn't authorized to use the bot. Each test gets its own, so the cooldowns and
+// quotas of earlier tests don't carry over
+function createRegularMember() {
+  return createMember(guild, { id: String(nextMemberId++) });
+}
+
+// Fill a channel with messages alternating between the member and someone else, newest first
+function populateMixed(target, member, count) {
+  const other = createRegularMember();
+  return target.populate(count).map((msg, index) => {
+    msg.author = index % 2 === 0 ? member.user : other.user;
+    return msg;
+  });
+}
+
+async function cleanMine(member, options, target = channel) {
+  const interaction = createCommandInteraction(target, member, 'cleanmine', options);
+  await handleInteraction(interaction);
+  return interaction;
+}
+
+test('/cleanmine lets any member delete only their own messages', async () => {
+  const member = createRegularMember();
+  const messages = populateMixed(channel, member, 10);
+
+  const interaction = await cleanMine(member, { amount: 3 });
+
+  assert.deepStrictEqual(channel.deletedIds.sort(), [messages[0], messages[2], messages[4]].map(msg => msg.id).sort());
+  assert.strictEqual(
+    interaction.replies.at(-1).content,
+    'Successfully deleted 3 messages. Scanned 10 messages for matches.\nYou can delete 197 more of your messages today.'
+  );
+});
+
+test('/cleanmine since and until only delete messages after that point', async () => {
+  const member = createRegularMember();
+  const old = channel.addMessage({ author: member.user, createdTimestamp: Date.now() - 3 * 60 * 60 * 1000 });
+  const recent = channel.addMessage({ author: member.user, createdTimestamp: Date.now() - 10 * 60 * 1000 });
+  const newest = channel.addMessage({ author: member.user, createdTimestamp: Date.now() - 60 * 1000 });
+
+  await cleanMine(member, { since: '1h', until: recent.id });
+
+  assert.deepStrictEqual(channel.deletedIds, [newest.id]);
+  assert.ok(channel.history.has(old.id));
+  assert.ok(channel.history.has(recent.id));
+});
+
+test('/cleanmine has a cooldown and a daily quota', async () => {
+  resetConfig({ authorizedUsers: ['100'], cleanMine: { cooldownSeconds: 60, dailyQuota: 4 } });
+  const member = createRegularMember();
+  populateMixed(channel, member, 20);
+
+  const first = await cleanMine(member, { amount: 10 });
+  const second = await cleanMine(member, { amount: 1 });
+
+  assert.strictEqual(channel.deletedIds.length, 4);
+  assert.match(first.replies.at(-1).content, /^Successfully deleted 4 messages\..*\nYou can delete 0 more of your messages today\.$/);
+  assert.match(second.replies[0].content, /^You can use \/cleanmine again <t:\d+:R>\.$/);
+
+  resetConfig({ authorizedUsers: ['100'], cleanMine: { cooldownSeconds: 0, dailyQuota: 4 } });
+  const third = await cleanMine(member, { amount: 1 });
+  assert.match(third.replies[0].content, /^You have deleted your limit of 4 messages for today\. You can delete more <t:\d+:R>\.$/);
+  assert.strictEqual(channel.deletedIds.length, 4);
+});
+
+test('/cleanmine across all channels skips the rest once the amount is reached', async () => {
+  const member = createRegularMember();
+  const second = createChannel(guild, { id: snowflakeAt(Date.now() - 300 * DAY), name: 'memes' });
+  populateMixed(channel, member, 6);
+  populateMixed(second, member, 6);
+
+  const interaction = await cleanMine(member, { amount: 3, 'all-channels': true });
+
+  assert.strictEqual(channel.deletedIds.length + second.deletedIds.length, 3);
+  assert.match(interaction.replies.at(-1).content, /^Cleanup finished\. Deleted 3 messages across 2 channels:/);
+  assert.match(interaction.replies.at(-1).content, /: skipped, the amount or your daily limit was reached/);
+});
+
+test('/cleanmine respects deny rules and needs Manage Messages for the bot', async () => {
+  const member = createRegularMember();
+  populateMixed(channel, member, 4);
+  resetConfig({ authorizedUsers: ['100'], permissionRules: [{ effect: 'deny', userId: member.id, commands: ['cleanmine'] }] });
+
+  const denied = await cleanMine(member, { amount: 1 });
+  assert.strictEqual(denied.replies[0].content, 'You are not allowed to use this command here.');
+
+  resetConfig({ authorizedUsers: ['100'] });
+  guild.members.me.permissions = new PermissionsBitField([PermissionsBitField.Flags.ViewChannel]);
+  const noPermission = await cleanMine(member, { amount: 1 });
+  assert.strictEqual(noPermission.replies[0].content, 'I need "Manage Messages" permission to delete messages.');
+  assert.strictEqual(channel.deletedIds.length, 0);
+});
+
+test('!cleanmine works for members as a prefix command', async () => {
+  const member = createRegularMember();
+  const messages = populateMixed(channel, member, 6);
+  const command = createCommandMessage(channel, member, '!cleanmine 2');
+
+  await handleMessage(command);
+
+  assert.ok(channel.deletedIds.includes(messages[0].id));
+  assert.ok(channel.deletedIds.includes(messages[2].id));
+  assert.ok(!channel.deletedIds.includes(messages[1].id));
+});
+
+test('/cleanmine needs an amount, since or until', async () => {
+  const interaction = await cleanMine(createRegularMember(), {});
+
+  assert.strictEqual(interaction.replies[0].content, 'Please give an amount, since or until to choose which of your messages to delete.');
+});
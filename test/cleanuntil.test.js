@@ -0,0 +1,131 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { resetConfig } = require('./helpers/setup');
+const { createGuild, createChannel, snowflakeAt, DAY } = require('./helpers/fake-discord');
+const { client } = require('../lib/client');
+const { cleanUntilMessage } = require('../lib/cleanup');
+const { checkpointRunningJobs, listCheckpoints } = require('../lib/checkpoints');
+const { resumeCleanups } = require('../lib/resume');
+
+// Run cleanuntil and return its stats along with the responses it sent
+async function cleanUntil(channel, targetMessageId, options = {}) {
+  const responses = [];
+  const stats = await cleanUntilMessage(channel, targetMessageId, async response => {
+    responses.push(response);
+  }, { invokerId: '1', command: 'cleanuntil', ...options });
+  return { stats, responses };
+}
+
+beforeEach(() => resetConfig());
+
+test('cleanuntil deletes everything newer than the target and keeps the target', async () => {
+  const channel = createChannel(createGuild());
+  const messages = channel.populate(20);
+  const target = messages[5];
+
+  const { stats, responses } = await cleanUntil(channel, target.id);
+
+  assert.strictEqual(stats.deleted, 5);
+  assert.strictEqual(stats.targetFound, true);
+  assert.deepStrictEqual(channel.deletedIds.sort(), messages.slice(0, 5).map(msg => msg.id).sort());
+  assert.ok(channel.history.has(target.id));
+  assert.strictEqual(channel.history.size, 15);
+  assert.strictEqual(responses[0], 'Successfully deleted 5 messages up to the target message.');
+});
+
+test('cleanuntil finds a target on a later page', async () => {
+  const channel = createChannel(createGuild());
+  const messages = channel.populate(250);
+  const target = messages[230];
+
+  const { stats } = await cleanUntil(channel, target.id);
+
+  assert.strictEqual(stats.deleted, 230);
+  assert.strictEqual(stats.targetFound, true);
+  assert.strictEqual(channel.calls.filter(call => call.method === 'fetch').length, 3);
+  assert.ok(channel.history.has(target.id));
+  assert.strictEqual(channel.history.size, 20);
+});
+
+test('cleanuntil deletes everything it can fetch when the target is missing', async () => {
+  const channel = createChannel(createGuild());
+  channel.populate(120);
+  const missingId = snowflakeAt(Date.now() - 2 * DAY);
+
+  const { stats, responses } = await cleanUntil(channel, missingId);
+
+  assert.strictEqual(stats.deleted, 120);
+  assert.strictEqual(stats.targetFound, false);
+  assert.strictEqual(channel.history.size, 0);
+  assert.strictEqual(responses[0], 'Target message not found. Deleted all fetchable messages in the channel.');
+});
+
+test('cleanuntil previews without deleting anything', async () => {
+  const channel = createChannel(createGuild());
+  const messages = channel.populate(10);
+
+  const { responses } = await cleanUntil(channel, messages[3].id, { preview: true });
+
+  assert.strictEqual(channel.deletedIds.length, 0);
+  assert.match(responses[0].content, /\*\*Preview:\*\* 3 messages would be deleted/);
+});
+
+test('cleanuntil stopped by a shutdown resumes from its checkpoint and tells the invoker the totals', async (t) => {
+  resetConfig({ undoRetention: 60 * 60 * 1000 });
+  const channel = createChannel(createGuild());
+  const messages = channel.populate(250);
+
+  // Stop the run as a shutdown would once it reaches its second page
+  const { stats, responses } = await cleanUntil(channel, messages[230].id, {
+    source: 'slash',
+    onProgress: progress => {
+      if (progress.scanned > 100) checkpointRunningJobs();
+    }
+  });
+  const [checkpoint] = listCheckpoints();
+
+  assert.strictEqual(stats.interrupted, true);
+  assert.deepStrictEqual(responses, []);
+  assert.strictEqual(checkpoint.runId, stats.runId);
+  assert.strictEqual(checkpoint.before, messages[99].id);
+  assert.strictEqual(checkpoint.totals.deleted, 100);
+
+  const dms = [];
+  const { fetch: fetchChannel } = client.channels;
+  const { fetch: fetchUser } = client.users;
+  t.after(() => {
+    client.channels.fetch = fetchChannel;
+    client.users.fetch = fetchUser;
+  });
+  client.channels.fetch = async id => (id === channel.id ? channel : null);
+  client.users.fetch = async () => ({ send: async content => dms.push(content) });
+  const fetchesBefore = channel.calls.filter(call => call.method === 'fetch').length;
+  await resumeCleanups();
+
+  assert.deepStrictEqual(listCheckpoints(), []);
+  assert.strictEqual(channel.history.size, 20);
+  assert.ok(channel.history.has(messages[230].id));
+  // The resumed run starts below the last page it finished instead of at the newest message
+  const resumedFetch = channel.calls.filter(call => call.method === 'fetch')[fetchesBefore];
+  assert.strictEqual(resumedFetch.options.before, messages[99].id);
+  assert.strictEqual(dms.length, 2);
+  assert.match(dms[0], /has resumed where it stopped, with 100 messages deleted so far\.$/);
+  assert.ok(dms[0].includes(`(run \`${stats.runId}\`)`));
+  assert.match(dms[1], /has finished\. Successfully deleted 230 messages up to the target message\./);
+  // Only the messages deleted after the restart were kept for /cleanundo
+  assert.match(dms[1], /The transcript and \/cleanundo only cover the messages deleted after the restart\.$/);
+});
+
+test('cleanups without someone to tell, such as from the command line, are not checkpointed', async () => {
+  const channel = createChannel(createGuild());
+  const messages = channel.populate(250);
+
+  await cleanUntil(channel, messages[230].id, {
+    source: 'cli',
+    onProgress: stats => {
+      if (stats.scanned > 100) assert.strictEqual(listCheckpoints().length, 0);
+    }
+  });
+
+  assert.strictEqual(channel.history.size, 20);
+});
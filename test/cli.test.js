@@ -0,0 +1,173 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Collection } = require('discord.js');
+const { resetConfig } = require('./helpers/setup');
+const { DAY, discordError, createGuild, createChannel, snowflakeAt } = require('./helpers/fake-discord');
+const { EXIT_CODES, parseCliArgs, runCliCommand } = require('../lib/cli');
+
+// A logged-in client that knows the given guilds and their channels
+function createClient(guilds) {
+  return {
+    user: { id: 'bot', tag: 'Discord Cleanup#0000' },
+    guilds: { cache: new Collection(guilds.map(guild => [guild.id, guild])) },
+    channels: {
+      fetch: async id => {
+        for (const guild of guilds) {
+          if (guild.channels.cache.has(id)) return guild.channels.cache.get(id);
+        }
+        throw discordError(404, 10003, 'Unknown Channel');
+      }
+    }
+  };
+}
+
+let guild;
+let channel;
+let client;
+
+beforeEach(() => {
+  resetConfig();
+  guild = createGuild();
+  channel = createChannel(guild);
+  client = createClient([guild]);
+});
+
+function run(argv) {
+  return runCliCommand(client, parseCliArgs(argv));
+}
+
+test('parseCliArgs reads the command, values and switches', () => {
+  const { command, options } = parseCliArgs(['clean', '--channel', '123', '--amount=50', '--dry-run', '--contains', 'free nitro', '--json']);
+
+  assert.strictEqual(command, 'clean');
+  assert.strictEqual(options.channel, '123');
+  assert.strictEqual(options.amount, 50);
+  assert.strictEqual(options['dry-run'], true);
+  assert.strictEqual(options.json, true);
+  assert.strictEqual(options.filter.criteria.contains, 'free nitro');
+});
+
+test('parseCliArgs rejects invalid command lines', () => {
+  assert.throws(() => parseCliArgs([]), /Please give a command/);
+  assert.throws(() => parseCliArgs(['wipe']), /Unknown command "wipe"/);
+  assert.throws(() => parseCliArgs(['clean', '--channel', '123']), /needs --amount/);
+  assert.throws(() => parseCliArgs(['clean', '--channel', 'general', '--amount', '5']), /--channel option takes an ID/);
+  assert.throws(() => parseCliArgs(['clean', '--channel', '123', '--amount', '0']), /between 1 and 5000/);
+  assert.throws(() => parseCliArgs(['clean', '--channel', '123', '--amount', '5', '--message', '1']), /does not take --message/);
+  assert.throws(() => parseCliArgs(['until', '--channel', '123', '--message']), /--message option needs a value/);
+  assert.throws(() => parseCliArgs(['list-guilds', '--json=yes']), /does not take a value/);
+  assert.throws(() => parseCliArgs(['export', '--channel', '123']), /either --amount or --message/);
+  assert.throws(() => parseCliArgs(['export', '--channel', '123', '--amount', '5', '--format', 'pdf']), /--format option takes one of/);
+});
+
+test('parseCliArgs returns no command for --help', () => {
+  assert.strictEqual(parseCliArgs(['clean', '--help']).command, null);
+});
+
+test('clean deletes messages and reports the totals', async () => {
+  channel.populate(10);
+
+  const { exitCode, result, text } = await run(['clean', '--channel', channel.id, '--amount', '4']);
+
+  assert.strictEqual(exitCode, EXIT_CODES.ok);
+  assert.strictEqual(result.deleted, 4);
+  assert.strictEqual(result.channel.id, channel.id);
+  assert.strictEqual(text, 'Successfully deleted 4 messages.');
+  assert.strictEqual(channel.history.size, 6);
+});
+
+test('clean --dry-run counts without deleting', async () => {
+  channel.populate(10);
+  channel.addMessage({ createdTimestamp: Date.now() - 1000, pinned: true });
+
+  const { exitCode, result } = await run(['clean', '--channel', channel.id, '--amount', '5', '--dry-run']);
+
+  assert.strictEqual(exitCode, EXIT_CODES.ok);
+  assert.strictEqual(result.dryRun, true);
+  assert.strictEqual(result.wouldDelete, 4);
+  assert.deepStrictEqual(result.protected, { pinned: 1 });
+  assert.strictEqual(channel.deletedIds.length, 0);
+});
+
+test('clean needs --yes above the confirm threshold', async () => {
+  resetConfig({ confirmThreshold: 5 });
+  channel.populate(10);
+
+  const refused = await run(['clean', '--channel', channel.id, '--amount', '8']);
+  assert.strictEqual(refused.exitCode, EXIT_CODES.needsConfirmation);
+  assert.strictEqual(channel.deletedIds.length, 0);
+
+  const confirmed = await run(['clean', '--channel', channel.id, '--amount', '8', '--yes']);
+  assert.strictEqual(confirmed.exitCode, EXIT_CODES.ok);
+  assert.strictEqual(confirmed.result.deleted, 8);
+});
+
+test('clean exits as incomplete when messages could not be deleted', async () => {
+  const [old] = channel.populate(1, { newestAge: 20 * DAY });
+  channel.injectFailure('delete', discordError(403, 50013, 'Missing Permissions'), { id: old.id });
+
+  const { exitCode, result } = await run(['clean', '--channel', channel.id, '--amount', '1']);
+
+  assert.strictEqual(exitCode, EXIT_CODES.incomplete);
+  assert.strictEqual(result.failed, 1);
+});
+
+test('until deletes up to the target, and is incomplete when the target is missing', async () => {
+  const messages = channel.populate(10);
+
+  const found = await run(['until', '--channel', channel.id, '--message', messages[6].id]);
+  assert.strictEqual(found.exitCode, EXIT_CODES.ok);
+  assert.strictEqual(found.result.deleted, 6);
+  assert.strictEqual(found.result.targetFound, true);
+
+  const missing = await run(['until', '--channel', channel.id, '--message', snowflakeAt(Date.now() - DAY)]);
+  assert.strictEqual(missing.exitCode, EXIT_CODES.incomplete);
+  assert.strictEqual(missing.result.targetFound, false);
+  assert.strictEqual(channel.history.size, 0);
+});
+
+test('export writes a transcript without deleting anything', async () => {
+  channel.populate(5);
+  const output = path.join(os.tmpdir(), `discord-cleanup-export-${process.pid}.txt`);
+
+  try {
+    const { exitCode, result } = await run(['export', '--channel', channel.id, '--amount', '3', '--format', 'txt', '--output', output]);
+
+    assert.strictEqual(exitCode, EXIT_CODES.ok);
+    assert.strictEqual(result.messages, 3);
+    const transcript = fs.readFileSync(output, 'utf8');
+    assert.match(transcript, /^Transcript of #general/);
+    assert.ok(transcript.indexOf('message 3') < transcript.indexOf('message 1'), 'transcripts read oldest first');
+    assert.strictEqual(channel.deletedIds.length, 0);
+  } finally {
+    fs.rmSync(output, { force: true });
+  }
+});
+
+test('export prints the transcript when there is no output file', async () => {
+  channel.populate(2);
+
+  const { exitCode, text } = await run(['export', '--channel', channel.id, '--amount', '2']);
+
+  assert.strictEqual(exitCode, EXIT_CODES.ok);
+  assert.strictEqual(JSON.parse(text).messages.length, 2);
+});
+
+test('an unknown channel is an error', async () => {
+  const { exitCode, text } = await run(['clean', '--channel', '999', '--amount', '1']);
+
+  assert.strictEqual(exitCode, EXIT_CODES.error);
+  assert.match(text, /Channel 999 was not found/);
+});
+
+test('list-guilds lists servers and their text channels', async () => {
+  guild.memberCount = 12;
+
+  const { result, text } = await run(['list-guilds', '--channels']);
+
+  assert.deepStrictEqual(result.guilds, [{ id: guild.id, name: 'Test Server', memberCount: 12, channels: [{ id: channel.id, name: 'general' }] }]);
+  assert.match(text, /Test Server \(12 members\)/);
+});
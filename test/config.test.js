@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { PermissionsBitField } = require('discord.js');
+const { validateConfig } = require('../lib/config-schema');
+const { BOT_PERMISSIONS, botPermissionBits, buildInviteUrl, clientIdFromToken } = require('../lib/invite');
+
+const USER = '123456789012345678';
+const GUILD = '234567890123456789';
+
+test('validateConfig accepts a complete config', () => {
+  const result = validateConfig({
+    prefix: '!',
+    authorizedUsers: [USER],
+    deleteConfirmationTimeout: 5000,
+    permissionRules: [{ effect: 'allow', roleId: GUILD, commands: ['clean'], maxAmount: 50 }],
+    modLogChannels: { [GUILD]: USER },
+    schedules: [{ channelId: USER, when: 'every 6h', olderThan: '24h' }],
+    autoMod: { enabled: true, guilds: { [GUILD]: { maxMentions: 5 } } }
+  });
+
+  assert.deepStrictEqual(result, { errors: [], warnings: [] });
+});
+
+test('validateConfig reports wrong values with their path', () => {
+  const { errors } = validateConfig({
+    prefix: 'clean up',
+    authorizedUsers: [123456789012345678],
+    previewTimeout: 10,
+    permissionRules: [{ roleId: GUILD, permission: 'ManageEverything' }],
+    autoMod: { guilds: { home: { blockInvites: 'yes' } } }
+  });
+
+  assert.deepStrictEqual(errors, [
+    'prefix must be 1 to 5 characters without spaces, not "clean up".',
+    'authorizedUsers[0] must be a Discord ID written as a string of digits, e.g. "123456789012345678", not 123456789012345680.',
+    'previewTimeout must be a whole number of at least 1000, not 10.',
+    'permissionRules[0].effect is required.',
+    'permissionRules[0].permission must be one of "Administrator", "ManageGuild", "ManageChannels", "ManageMessages", "ModerateMembers", "KickMembers", "BanMembers", not "ManageEverything".',
+    'autoMod.guilds keys must be Discord IDs, not "home".',
+    'autoMod.guilds["home"].blockInvites must be true or false, not "yes".'
+  ]);
+});
+
+test('validateConfig warns about unknown settings instead of failing', () => {
+  const result = validateConfig({ authorizedUsers: [USER], deleteTimeout: 5000, protection: { bots: true } });
+
+  assert.deepStrictEqual(result.errors, []);
+  assert.deepStrictEqual(result.warnings, [
+    'deleteTimeout is not a setting the bot knows and will be ignored.',
+    'protection.bots is not a setting the bot knows and will be ignored.'
+  ]);
+});
+
+test('validateConfig rejects a config that is not an object', () => {
+  assert.strictEqual(validateConfig([USER]).errors.length, 1);
+  assert.match(validateConfig(null).errors[0], /must contain a JSON object/);
+});
+
+test('the invite asks for the permissions discord.js knows by those names', () => {
+  for (const permission of BOT_PERMISSIONS) {
+    assert.strictEqual(1n << permission.bit, PermissionsBitField.Flags[permission.name], permission.name);
+  }
+  assert.strictEqual(botPermissionBits(), new PermissionsBitField(BOT_PERMISSIONS.map(p => p.name)).bitfield.toString());
+});
+
+test('buildInviteUrl uses the application ID read from the token', () => {
+  const token = `${Buffer.from(USER).toString('base64')}.GhIjKl.secret`;
+
+  assert.strictEqual(clientIdFromToken(token), USER);
+  assert.strictEqual(clientIdFromToken('not a token'), null);
+  assert.strictEqual(
+    buildInviteUrl(USER),
+    `https://discord.com/oauth2/authorize?client_id=${USER}&permissions=${botPermissionBits()}&scope=bot%20applications.commands`
+  );
+});
@@ -0,0 +1,245 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { resetConfig } = require('./helpers/setup');
+const {
+  createGuild,
+  createMember,
+  createChannel,
+  createCommandMessage,
+  createCommandInteraction,
+  snowflakeAt,
+  DAY
+} = require('./helpers/fake-discord');
+const { handleMessage } = require('../lib/prefix-commands');
+const { handleInteraction } = require('../lib/interactions');
+const { pruneUndoSnapshots } = require('../lib/undo');
+const { client } = require('../lib/client');
+
+let guild;
+let channel;
+let moderator;
+
+beforeEach(() => {
+  resetConfig({ authorizedUsers: ['100'] });
+  guild = createGuild();
+  channel = createChannel(guild);
+  moderator = createMember(guild, { id: '100' });
+});
+
+// The text of the replies to a prefix command, whether sent as a string or a payload
+function replyTexts(message) {
+  return message.replies.map(reply => (typeof reply === 'string' ? reply : reply.content));
+}
+
+// Messages the bot posted in the channel, oldest first
+function botMessages() {
+  return [...channel.history.values()].filter(msg => msg.author.bot).reverse().map(msg => msg.content);
+}
+
+test('!clean deletes the command and the requested number of messages', async () => {
+  const messages = channel.populate(10);
+  const command = createCommandMessage(channel, moderator, '!clean 3');
+
+  await handleMessage(command);
+
+  assert.ok(channel.deletedIds.includes(command.id));
+  for (const msg of messages.slice(0, 3)) assert.ok(channel.deletedIds.includes(msg.id));
+  assert.deepStrictEqual(messages.filter(msg => channel.history.has(msg.id)), messages.slice(3));
+});
+
+test('!clean replies with usage when the amount is not a number', async () => {
+  channel.populate(5);
+  const command = createCommandMessage(channel, moderator, '!clean lots');
+
+  await handleMessage(command);
+
+  assert.deepStrictEqual(replyTexts(command), ['The amount option takes a whole number between 1 and 5000.']);
+  assert.strictEqual(channel.deletedIds.length, 0);
+});
+
+test('!clean refuses amounts over the configured limit', async () => {
+  resetConfig({ authorizedUsers: ['100'], maxCleanAmount: 50 });
+  const command = createCommandMessage(channel, moderator, '!clean 80');
+
+  await handleMessage(command);
+
+  assert.deepStrictEqual(replyTexts(command), ['This server allows deleting at most 50 messages at a time.']);
+});
+
+test('!clean replies with the parser error for a bad flag', async () => {
+  const command = createCommandMessage(channel, moderator, '!clean 5 --everything');
+
+  await handleMessage(command);
+
+  assert.deepStrictEqual(replyTexts(command), ['Unknown option --everything.']);
+});
+
+test('prefix commands refuse members who are not authorized', async () => {
+  channel.populate(5);
+  const command = createCommandMessage(channel, createMember(guild, { id: '200' }), '!clean 3');
+
+  await handleMessage(command);
+
+  assert.deepStrictEqual(replyTexts(command), ['You are not authorized to use this bot.']);
+  assert.strictEqual(channel.deletedIds.length, 0);
+});
+
+test('prefix commands are ignored without the prefix and from bots', async () => {
+  channel.populate(5);
+  const plain = createCommandMessage(channel, moderator, 'clean 3');
+  await handleMessage(plain);
+  const fromBot = channel.addMessage({ author: { id: '300', bot: true }, content: '!clean 3' });
+  await handleMessage(fromBot);
+
+  assert.strictEqual(channel.deletedIds.length, 0);
+  assert.deepStrictEqual(plain.replies, []);
+});
+
+test('prefix commands accept aliases, quoted values and name:value options', async () => {
+  const messages = channel.populate(5);
+  const spam = [channel.addMessage({ content: 'get FREE NITRO here' }), channel.addMessage({ content: 'free nitro?' })];
+  const command = createCommandMessage(channel, moderator, '!clear 10 contains:"free nitro"');
+
+  await handleMessage(command);
+
+  for (const msg of spam) assert.ok(channel.deletedIds.includes(msg.id));
+  assert.ok(messages.every(msg => channel.history.has(msg.id)));
+  assert.ok(botMessages().some(content => content.startsWith('Successfully deleted 2 messages')));
+});
+
+test('unknown prefix commands are ignored', async () => {
+  const command = createCommandMessage(channel, moderator, '!cleanall 10');
+
+  await handleMessage(command);
+
+  assert.deepStrictEqual(command.replies, []);
+});
+
+test('!cleanuntil stops at the target message', async () => {
+  const messages = channel.populate(10);
+  const command = createCommandMessage(channel, moderator, `!cleanuntil ${messages[4].id}`);
+
+  await handleMessage(command);
+
+  assert.ok(channel.history.has(messages[4].id));
+  assert.strictEqual(channel.history.size, 6 + botMessages().length);
+  assert.ok(botMessages().includes('Successfully deleted 4 messages up to the target message.'));
+});
+
+test('!cleanuntil asks for a message ID', async () => {
+  const command = createCommandMessage(channel, moderator, '!cleanuntil latest');
+
+  await handleMessage(command);
+
+  assert.match(replyTexts(command)[0], /Please provide a valid message ID/);
+});
+
+test('commands run in a DM are refused', async () => {
+  const interaction = createCommandInteraction(channel, moderator, 'cleanmine', { amount: 5 });
+  Object.assign(interaction, { guild: null, guildId: null, member: null });
+
+  await handleInteraction(interaction);
+
+  assert.deepStrictEqual(interaction.replies, [{ content: 'These commands only work in a server.', flags: [1 << 6] }]);
+});
+
+test('/clean deletes messages and edits the deferred reply', async () => {
+  channel.populate(10);
+  const interaction = createCommandInteraction(channel, moderator, 'clean', { amount: 4 });
+
+  await handleInteraction(interaction);
+
+  assert.strictEqual(interaction.deferred, true);
+  assert.strictEqual(channel.deletedIds.length, 4);
+  assert.deepStrictEqual(interaction.replies.at(-1), { content: 'Successfully deleted 4 messages.', components: [] });
+});
+
+test('/clean respects the limit of the rule that allowed it', async () => {
+  resetConfig({ permissionRules: [{ effect: 'allow', maxAmount: 5 }] });
+  channel.populate(10);
+  const interaction = createCommandInteraction(channel, createMember(guild), 'clean', { amount: 8 });
+
+  await handleInteraction(interaction);
+
+  assert.strictEqual(channel.deletedIds.length, 0);
+  assert.strictEqual(interaction.replies[0].content, 'You can delete at most 5 messages at a time.');
+});
+
+test('a rule\'s limit covers every channel of a multi-channel /clean', async () => {
+  const other = createChannel(guild, { id: snowflakeAt(Date.now() - 300 * DAY), name: 'archive' });
+  resetConfig({ permissionRules: [{ effect: 'allow', maxAmount: 5 }] });
+  channel.populate(10);
+  other.populate(10);
+  const helper = createMember(guild);
+
+  const tooMany = createCommandInteraction(channel, helper, 'clean', { amount: 3, channels: `<#${channel.id}> <#${other.id}>` });
+  await handleInteraction(tooMany);
+  assert.strictEqual(tooMany.replies.at(-1).content, 'You can delete at most 5 messages at a time, and 3 in each of 2 channels would be 6.');
+  assert.strictEqual(channel.deletedIds.length + other.deletedIds.length, 0);
+
+  const withinLimit = createCommandInteraction(channel, helper, 'clean', { amount: 2, channels: `<#${channel.id}> <#${other.id}>` });
+  await handleInteraction(withinLimit);
+  assert.strictEqual(channel.deletedIds.length + other.deletedIds.length, 4);
+});
+
+test('/cleanschedule add checks the rules for the channel being purged', async () => {
+  const other = createChannel(guild, { id: snowflakeAt(Date.now() - 300 * DAY), name: 'archive' });
+  resetConfig({ permissionRules: [{ effect: 'allow', roleId: 'mods', channelId: channel.id }] });
+  const interaction = createCommandInteraction(channel, createMember(guild, { roles: ['mods'] }), 'cleanschedule', {
+    subcommand: 'add',
+    channel: other,
+    when: 'every 6h'
+  });
+
+  await handleInteraction(interaction);
+
+  assert.strictEqual(interaction.replies[0].content, `You are not allowed to schedule purges of <#${other.id}>.`);
+});
+
+test('/retention only sets and runs policies in channels the member may clean', async () => {
+  const other = createChannel(guild, { id: snowflakeAt(Date.now() - 300 * DAY), name: 'archive' });
+  other.populate(3, { newestAge: 40 * DAY });
+  resetConfig({ authorizedUsers: ['100'], permissionRules: [{ effect: 'allow', roleId: 'mods', channelId: channel.id }] });
+  const restricted = createMember(guild, { roles: ['mods'] });
+
+  const set = createCommandInteraction(channel, restricted, 'retention', { subcommand: 'set', channel: other, 'max-age': '30d' });
+  await handleInteraction(set);
+  assert.strictEqual(set.replies[0].content, `You are not allowed to clean <#${other.id}>, so you can't change the retention policy for <#${other.id}>.`);
+
+  await handleInteraction(createCommandInteraction(channel, moderator, 'retention', { subcommand: 'set', channel: other, 'max-age': '30d' }));
+  const runNow = createCommandInteraction(channel, restricted, 'retention', { subcommand: 'run-now' });
+  await handleInteraction(runNow);
+
+  assert.match(runNow.replies.at(-1).content, new RegExp(`<#${other.id}>: skipped, you are not allowed to clean it`));
+  assert.strictEqual(other.deletedIds.length, 0);
+});
+
+test('/cleanundo keeps the snapshot when restoring fails, and removes it once restored', async (t) => {
+  resetConfig({ authorizedUsers: ['100'], undoRetention: DAY });
+  channel.populate(5);
+  await handleInteraction(createCommandInteraction(channel, moderator, 'clean', { amount: 3 }));
+  const [snapshot] = pruneUndoSnapshots().filter(candidate => candidate.guildId === guild.id);
+  assert.strictEqual(snapshot.messages.length, 3);
+
+  const { fetch: fetchChannel } = client.channels;
+  t.after(() => {
+    client.channels.fetch = fetchChannel;
+  });
+  client.channels.fetch = async () => channel;
+  channel.fetchWebhooks = async () => {
+    throw new Error('Maximum number of webhooks reached (15)');
+  };
+  const failed = createCommandInteraction(channel, moderator, 'cleanundo', { run: snapshot.runId });
+  await handleInteraction(failed);
+  assert.match(failed.replies.at(-1), /none were re-posted/);
+  assert.ok(pruneUndoSnapshots().some(candidate => candidate.runId === snapshot.runId));
+
+  const sent = [];
+  channel.fetchWebhooks = async () => [];
+  channel.createWebhook = async () => ({ send: async payload => sent.push(payload) });
+  const restored = createCommandInteraction(channel, moderator, 'cleanundo', { run: snapshot.runId });
+  await handleInteraction(restored);
+  assert.match(restored.replies.at(-1), /^Restored 3 messages/);
+  assert.strictEqual(sent.length, 3);
+  assert.ok(!pruneUndoSnapshots().some(candidate => candidate.runId === snapshot.runId));
+});
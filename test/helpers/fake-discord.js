@@ -0,0 +1,339 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Stand-ins for the parts of discord.js the cleanup logic talks to: guilds, members, channels
+ * and messages. Channels keep their history in memory and behave like Discord where it
+ * matters: snowflake IDs, paged fetches, bulk deletes that refuse messages older than
+ * 14 days, and failures injected on demand.
+ */
+
+const { ChannelType, Collection, PermissionsBitField, SnowflakeUtil } = require('discord.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Discord refuses to bulk delete messages older than this
+const BULK_DELETE_MAX_AGE = 14 * DAY;
+
+let nextIncrement = 0;
+
+// A snowflake for a point in time. The increment keeps IDs made in the same millisecond apart
+function snowflakeAt(timestamp) {
+  nextIncrement = (nextIncrement + 1) % 4096;
+  return SnowflakeUtil.generate({ timestamp, increment: BigInt(nextIncrement) }).toString();
+}
+
+// An error shaped like a discord.js DiscordAPIError
+function discordError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function createUser({ id = snowflakeAt(Date.now()), username = `user${id.slice(-4)}`, bot = false } = {}) {
+  return {
+    id,
+    username,
+    globalName: null,
+    tag: username,
+    bot,
+    displayAvatarURL: () => 'https://cdn.discordapp.com/embed/avatars/0.png'
+  };
+}
+
+function createGuild({ id = snowflakeAt(Date.now()), botPermissions = PermissionsBitField.All } = {}) {
+  const guild = {
+    id,
+    name: 'Test Server',
+    channels: { cache: new Collection() },
+    roles: { cache: new Collection() },
+    members: { cache: new Collection() }
+  };
+  guild.members.fetch = async (id) => {
+    if (!guild.members.cache.has(id)) throw discordError(404, 10007, 'Unknown Member');
+    return guild.members.cache.get(id);
+  };
+  guild.members.me = createMember(guild, { id: 'bot', permissions: botPermissions });
+  return guild;
+}
+
+// A guild member with the given role IDs and permissions (PermissionsBitField resolvables)
+function createMember(guild, { id = snowflakeAt(Date.now()), roles = [], permissions = [], user } = {}) {
+  const resolved = new PermissionsBitField(permissions);
+  const member = {
+    id,
+    guild,
+    user: user || createUser({ id }),
+    displayName: `member${id.slice(-4)}`,
+    roles: { cache: new Collection(roles.map(roleId => [roleId, { id: roleId }])) },
+    permissions: resolved,
+    permissionsIn: () => resolved,
+    displayAvatarURL: () => 'https://cdn.discordapp.com/embed/avatars/0.png'
+  };
+  guild.members.cache.set(id, member);
+  return member;
+}
+
+class FakeMessage {
+  constructor(channel, { id, createdTimestamp = Date.now(), author = createUser(), member = null, content = '', pinned = false }) {
+    this.channel = channel;
+    this.channelId = channel.id;
+    this.guildId = channel.guildId;
+    this.guild = channel.guild;
+    this.id = id || snowflakeAt(createdTimestamp);
+    this.createdTimestamp = SnowflakeUtil.timestampFrom(this.id);
+    this.editedTimestamp = null;
+    this.author = author;
+    this.member = member;
+    this.content = content;
+    this.pinned = pinned;
+    this.reference = null;
+    this.attachments = new Collection();
+    this.embeds = [];
+    this.mentions = { everyone: false, users: new Collection(), roles: new Collection() };
+    this.reactions = { cache: new Collection() };
+    this.replies = [];
+  }
+
+  inGuild() {
+    return Boolean(this.guildId);
+  }
+
+  async delete() {
+    await this.channel.messages.delete(this.id);
+    return this;
+  }
+
+  async edit(payload) {
+    Object.assign(this, typeof payload === 'string' ? { content: payload } : payload);
+    return this;
+  }
+
+  async reply(payload) {
+    this.replies.push(payload);
+    return this.channel.send(payload);
+  }
+}
+
+class FakeMessageManager {
+  constructor(channel) {
+    this.channel = channel;
+  }
+
+  // Fetch one message by ID, or a page of history. Pages are newest first, like Discord's:
+  // the newest messages, those before an ID, or the oldest ones after an ID
+  async fetch(options = {}) {
+    this.channel.calls.push({ method: 'fetch', options });
+    this.channel.takeFailure('fetch');
+
+    if (typeof options === 'string') {
+      const message = this.channel.history.get(options);
+      if (!message) throw discordError(404, 10008, 'Unknown Message');
+      return message;
+    }
+
+    const limit = options.limit || 50;
+    if (limit < 1 || limit > 100) throw discordError(400, 50035, 'Invalid Form Body: limit must be between 1 and 100');
+
+    let messages = [...this.channel.history.values()];
+    if (options.before) messages = messages.filter(msg => BigInt(msg.id) < BigInt(options.before));
+    if (options.after) {
+      messages = messages.filter(msg => BigInt(msg.id) > BigInt(options.after)).slice(-limit);
+    }
+    return new Collection(messages.slice(0, limit).map(msg => [msg.id, msg]));
+  }
+
+  async delete(id) {
+    this.channel.calls.push({ method: 'delete', id });
+    this.channel.takeFailure('delete', id);
+    if (!this.channel.history.has(id)) throw discordError(404, 10008, 'Unknown Message');
+    this.channel.removeMessage(id);
+  }
+}
+
+class FakeChannel {
+  constructor(guild, { id = snowflakeAt(Date.now() - 365 * DAY), name = 'general', type = ChannelType.GuildText, parentId = null } = {}) {
+    this.id = id;
+    this.name = name;
+    this.type = type;
+    this.guild = guild;
+    this.guildId = guild.id;
+    this.parentId = parentId;
+    this.createdTimestamp = SnowflakeUtil.timestampFrom(id);
+    this.messages = new FakeMessageManager(this);
+    // Messages in the channel, newest first
+    this.history = new Collection();
+    // IDs of every message deleted, in order
+    this.deletedIds = [];
+    // Every call made to the Discord API, for checking how a cleanup went about it
+    this.calls = [];
+    this.failures = [];
+    guild.channels.cache.set(id, this);
+  }
+
+  isTextBased() {
+    return true;
+  }
+
+  isThread() {
+    return false;
+  }
+
+  permissionsFor() {
+    return new PermissionsBitField(PermissionsBitField.All);
+  }
+
+  // Add a message to the history and return it
+  addMessage(options = {}) {
+    const message = new FakeMessage(this, options);
+    this.history.set(message.id, message);
+    this.history.sort((a, b) => (BigInt(b.id) > BigInt(a.id) ? 1 : -1));
+    return message;
+  }
+
+  // Fill the history with `count` messages, the newest `newestAge` ms old and each one
+  // `spacing` ms older than the next. Returns them newest first
+  populate(count, { newestAge = 60 * 1000, spacing = 60 * 1000, ...options } = {}) {
+    const now = Date.now();
+    const added = [];
+    for (let i = 0; i < count; i++) {
+      added.push(this.addMessage({ ...options, createdTimestamp: now - newestAge - i * spacing, content: options.content || `message ${i + 1}` }));
+    }
+    return added;
+  }
+
+  removeMessage(id) {
+    this.history.delete(id);
+    this.deletedIds.push(id);
+  }
+
+  // Make the next `times` calls of a method ('fetch', 'delete' or 'bulkDelete') fail with an
+  // error. With an id, only calls involving that message fail
+  injectFailure(method, error, { id = null, times = 1 } = {}) {
+    this.failures.push({ method, error, id, times });
+  }
+
+  takeFailure(method, ids = []) {
+    const list = Array.isArray(ids) ? ids : [ids];
+    const failure = this.failures.find(entry => entry.method === method && entry.times > 0 && (!entry.id || list.includes(entry.id)));
+    if (!failure) return;
+    failure.times--;
+    throw failure.error;
+  }
+
+  // Like Discord, refuse batches of fewer than 2 or more than 100 messages and, unless filterOld
+  // drops them, any message older than 14 days
+  async bulkDelete(messages, filterOld = false) {
+    let ids = Array.isArray(messages) ? messages : [...messages.keys()];
+    this.calls.push({ method: 'bulkDelete', ids });
+    this.takeFailure('bulkDelete', ids);
+
+    const tooOld = id => Date.now() - SnowflakeUtil.timestampFrom(id) > BULK_DELETE_MAX_AGE;
+    if (filterOld) ids = ids.filter(id => !tooOld(id));
+    if (ids.length === 0) return new Collection();
+    if (ids.length < 2 || ids.length > 100) {
+      throw discordError(400, 50016, 'You must provide at least 2 and fewer than 100 messages to delete.');
+    }
+    if (ids.some(tooOld)) {
+      throw discordError(400, 50034, 'You can only bulk delete messages that are under 14 days old.');
+    }
+
+    const deleted = new Collection();
+    for (const id of ids) {
+      deleted.set(id, this.history.get(id));
+      if (this.history.has(id)) this.removeMessage(id);
+    }
+    return deleted;
+  }
+
+  // Post a message as the bot; it joins the history like any other message
+  async send(payload) {
+    const content = typeof payload === 'string' ? payload : payload.content;
+    const message = this.addMessage({ author: createUser({ id: 'bot', username: 'Discord Cleanup', bot: true }), content });
+    if (typeof payload !== 'string') Object.assign(message, { components: payload.components || [], embeds: payload.embeds || [] });
+    return message;
+  }
+}
+
+function createChannel(guild, options) {
+  return new FakeChannel(guild, options);
+}
+
+// A prefix command as typed by a member in a channel
+function createCommandMessage(channel, member, content) {
+  return channel.addMessage({ author: member.user, member, content });
+}
+
+// A slash command interaction. `options` maps option names to their values; replies are
+// collected in interaction.replies
+function createCommandInteraction(channel, member, commandName, options = {}) {
+  const get = name => (options[name] === undefined ? null : options[name]);
+  const interaction = {
+    commandName,
+    channel,
+    channelId: channel.id,
+    guild: channel.guild,
+    guildId: channel.guildId,
+    member,
+    user: member.user,
+    replies: [],
+    deferred: false,
+    replied: false,
+    options: {
+      data: Object.entries(options).map(([name, value]) => ({ name, value })),
+      getInteger: get,
+      getString: get,
+      getBoolean: get,
+      getNumber: get,
+      getUser: get,
+      getRole: get,
+      getChannel: get,
+      getSubcommand: () => options.subcommand
+    },
+    isButton: () => false,
+    isCommand: () => true,
+    inGuild: () => Boolean(interaction.guildId),
+    isChatInputCommand: () => true,
+    isMessageContextMenuCommand: () => false,
+    isUserContextMenuCommand: () => false,
+    reply: async payload => {
+      interaction.replied = true;
+      interaction.replies.push(payload);
+    },
+    deferReply: async () => {
+      interaction.deferred = true;
+    },
+    editReply: async payload => {
+      interaction.replies.push(payload);
+    },
+    followUp: async payload => {
+      interaction.replies.push(payload);
+    }
+  };
+  return interaction;
+}
+
+module.exports = {
+  DAY,
+  snowflakeAt,
+  discordError,
+  createUser,
+  createGuild,
+  createMember,
+  createChannel,
+  createCommandMessage,
+  createCommandInteraction
+};
@@ -0,0 +1,52 @@
+// Copyright (C) 2025 Dustin Darcy <ScarcityHypothesis.org>
+//
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with this program. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Shared test setup. Require this before anything from lib/: it replaces whatever config.json
+ * holds with the defaults and points the data directory at a temporary one, so tests neither
+ * depend on nor touch a real installation.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { config, defaultConfig } = require('../../lib/config');
+const { client } = require('../../lib/client');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'discord-cleanup-test-'));
+
+// Settings the tests start from; individual tests change what they need and call resetConfig
+const testConfig = {
+  ...defaultConfig,
+  dataDir,
+  deleteConfirmationTimeout: 0,
+  undoRetention: 0
+};
+
+function resetConfig(changes = {}) {
+  Object.assign(config, testConfig, changes);
+}
+
+resetConfig();
+
+// The modules look up the bot's own ID on the client, which only gets a user after logging in
+client.user = { id: 'bot', tag: 'Discord Cleanup#0000' };
+
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+module.exports = {
+  config,
+  resetConfig
+};
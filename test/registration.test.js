@@ -0,0 +1,125 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { resetConfig } = require('./helpers/setup');
+const { applicationCommands } = require('../lib/commands');
+const {
+  describeDiff,
+  diffCommands,
+  parseDeployArgs,
+  registerCommands,
+  runDeployCommand,
+  syncCommands
+} = require('../lib/registration');
+
+// The command data as Discord returns it: with IDs and defaults filled in, and options
+// that are not required lacking the required field
+function asRegistered(commands) {
+  const strip = option => {
+    const copy = JSON.parse(JSON.stringify(option));
+    if (!copy.required) delete copy.required;
+    if (copy.options) copy.options = copy.options.map(strip);
+    return copy;
+  };
+  return commands.map((command, index) => ({
+    id: String(1000 + index),
+    application_id: 'app',
+    version: '1',
+    default_member_permissions: null,
+    dm_permission: false,
+    nsfw: false,
+    description: '',
+    ...strip(command),
+    type: command.type || 1
+  }));
+}
+
+// A REST client keeping the registered commands per route in memory
+function fakeRest(initial = {}) {
+  const rest = {
+    routes: new Map(Object.entries(initial)),
+    puts: [],
+    get: async route => rest.routes.get(route) || [],
+    put: async (route, { body }) => {
+      rest.puts.push(route);
+      rest.routes.set(route, asRegistered(body));
+    }
+  };
+  return rest;
+}
+
+const local = () => applicationCommands.map(command => command.toJSON());
+
+beforeEach(() => {
+  resetConfig();
+});
+
+test('commands are only offered in servers', () => {
+  for (const command of local()) assert.deepStrictEqual(command.contexts, [0], command.name);
+
+  // Commands registered before that was set are updated
+  const registered = asRegistered(local()).map(command => ({ ...command, contexts: null }));
+  assert.strictEqual(diffCommands(local(), registered).changed.length, local().length);
+});
+
+test('diffCommands finds nothing to do when the registered commands match', () => {
+  const diff = diffCommands(local(), asRegistered(local()));
+
+  assert.deepStrictEqual(diff, { added: [], changed: [], removed: [] });
+  assert.strictEqual(describeDiff(diff), 'no changes');
+});
+
+test('diffCommands reports added, changed and removed commands', () => {
+  const registered = asRegistered(local()).filter(command => command.name !== 'cleanjobs');
+  registered.find(command => command.name === 'clean').options[0].max_value = 100;
+  registered.push({ id: '9', name: 'oldcommand', description: 'Gone', type: 1 });
+
+  const diff = diffCommands(local(), registered);
+
+  assert.deepStrictEqual(diff, { added: ['cleanjobs'], changed: ['clean'], removed: ['oldcommand'] });
+  assert.strictEqual(describeDiff(diff), '1 added (cleanjobs), 1 changed (clean), 1 removed (oldcommand)');
+});
+
+test('syncCommands only writes when something changed', async () => {
+  const rest = fakeRest();
+
+  const first = await syncCommands(rest, 'app');
+  const second = await syncCommands(rest, 'app');
+  const forced = await syncCommands(rest, 'app', null, { force: true });
+
+  assert.strictEqual(first.updated, true);
+  assert.strictEqual(first.added.length, applicationCommands.length);
+  assert.strictEqual(second.updated, false);
+  assert.strictEqual(forced.updated, true);
+  assert.deepStrictEqual(rest.puts, ['/applications/app/commands', '/applications/app/commands']);
+});
+
+test('registerCommands uses the dev guilds instead of global commands when set', async () => {
+  resetConfig({ devGuilds: ['111', '222'] });
+  const rest = fakeRest();
+
+  await registerCommands({ rest, application: { id: 'app' } });
+
+  assert.deepStrictEqual(rest.puts, ['/applications/app/guilds/111/commands', '/applications/app/guilds/222/commands']);
+});
+
+test('parseDeployArgs reads commands and targets', () => {
+  assert.deepStrictEqual(parseDeployArgs(['register', '--guild', '111', '--guild=222', '--force']), {
+    command: 'register', global: false, guildIds: ['111', '222'], force: true, help: false
+  });
+  assert.throws(() => parseDeployArgs([]), { message: 'Please give a command.' });
+  assert.throws(() => parseDeployArgs(['deploy']), { message: 'Unknown command "deploy".' });
+  assert.throws(() => parseDeployArgs(['list', '--guild', 'home']), { message: 'The --guild option takes a server ID.' });
+  assert.throws(() => parseDeployArgs(['clear']), /--global or --guild/);
+  assert.throws(() => parseDeployArgs(['list', '--force']), { message: 'The list command does not take --force.' });
+});
+
+test('runDeployCommand lists and clears registered commands', async () => {
+  const rest = fakeRest({ '/applications/app/guilds/111/commands': asRegistered(local()) });
+
+  const listed = await runDeployCommand(rest, 'app', parseDeployArgs(['list', '--guild', '111']));
+  assert.match(listed, new RegExp(`^${applicationCommands.length} commands registered in server 111:\n  clean - `));
+
+  const cleared = await runDeployCommand(rest, 'app', parseDeployArgs(['clear', '--guild', '111']));
+  assert.strictEqual(cleared, 'Cleared the commands registered in server 111.');
+  assert.deepStrictEqual(rest.routes.get('/applications/app/guilds/111/commands'), []);
+});
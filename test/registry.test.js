@@ -0,0 +1,102 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { resetConfig } = require('./helpers/setup');
+const { createGuild, createMember, createChannel, createCommandMessage, createCommandInteraction } = require('./helpers/fake-discord');
+const { applicationCommands, commands, findCommand, findPrefixCommand } = require('../lib/commands');
+const { describeCommandHelp, describeHelpOverview, runCommand, createPrefixContext, createSlashContext, MAX_MESSAGE_LENGTH } = require('../lib/registry');
+const { handleMessage } = require('../lib/prefix-commands');
+const { handleInteraction } = require('../lib/interactions');
+
+let guild;
+let channel;
+let moderator;
+
+beforeEach(() => {
+  resetConfig({ authorizedUsers: ['100'] });
+  guild = createGuild();
+  channel = createChannel(guild);
+  moderator = createMember(guild, { id: '100' });
+});
+
+test('every definition becomes a registered command', () => {
+  const registered = JSON.parse(JSON.stringify(applicationCommands.map(command => command.toJSON())));
+
+  assert.deepStrictEqual(registered.map(command => command.name), commands.map(command => command.name));
+  const clean = registered.find(command => command.name === 'clean');
+  assert.deepStrictEqual(clean.options[0], {
+    type: 4,
+    name: 'amount',
+    description: 'Number of messages to delete (1-5000)',
+    required: true,
+    min_value: 1,
+    max_value: 5000
+  });
+  assert.strictEqual(registered.find(command => command.name === 'Clean up to here').type, 3);
+});
+
+test('aliases find prefix commands but not slash commands', () => {
+  assert.strictEqual(findPrefixCommand('CLEAR'), findCommand('clean'));
+  assert.strictEqual(findPrefixCommand('undo'), findCommand('cleanundo'));
+  assert.strictEqual(findCommand('clear'), null);
+  assert.strictEqual(findPrefixCommand('Clean up to here'), null);
+});
+
+test('help pages fit in one message', () => {
+  assert.ok(describeHelpOverview(commands, '!').length <= MAX_MESSAGE_LENGTH);
+  for (const command of commands.filter(candidate => !candidate.contextMenu)) {
+    assert.ok(describeCommandHelp(command, '!').length <= MAX_MESSAGE_LENGTH, command.name);
+  }
+});
+
+test('!help shows the page of one command', async () => {
+  const command = createCommandMessage(channel, moderator, '!help clear');
+
+  await handleMessage(command);
+
+  const [reply] = command.replies;
+  assert.match(reply.content, /^\*\*\/clean\*\* - /);
+  assert.match(reply.content, /Prefix: `!clean <amount> \[options\]` \(also `!clear`\)/);
+  assert.match(reply.content, /`preview` \(or `--dry-run`\)/);
+});
+
+test('/help names unknown commands', async () => {
+  const interaction = createCommandInteraction(channel, moderator, 'help', { command: 'cleanall' });
+
+  await handleInteraction(interaction);
+
+  assert.strictEqual(interaction.replies[0].content, 'There is no `cleanall` command. Run `/help` to list them.');
+});
+
+test('prefix and slash /version report the package version', async () => {
+  const { version } = require('../package.json');
+  const command = createCommandMessage(channel, moderator, '!version');
+  const interaction = createCommandInteraction(channel, moderator, 'version');
+
+  await handleMessage(command);
+  await handleInteraction(interaction);
+
+  assert.match(command.replies[0].content, new RegExp(`Discord Cleanup Bot v${version}`));
+  assert.strictEqual(command.replies[0].content, interaction.replies[0].content);
+});
+
+test('a command that throws tells the user it failed', async () => {
+  const failing = { name: 'broken', handler: async () => { throw new Error('boom'); } };
+  const deferring = { name: 'broken', handler: async (context) => { await context.deferReply(); throw new Error('boom'); } };
+  const error = { content: 'Something went wrong running that command.', flags: [1 << 6] };
+
+  const interaction = createCommandInteraction(channel, moderator, 'broken');
+  await runCommand(createSlashContext(interaction), failing, {});
+  assert.deepStrictEqual(interaction.replies, [error]);
+  assert.strictEqual(interaction.replied, true);
+
+  // A deferred reply can only be edited
+  const deferred = createCommandInteraction(channel, moderator, 'broken');
+  let edited;
+  deferred.editReply = async payload => { edited = payload; };
+  await runCommand(createSlashContext(deferred), deferring, {});
+  assert.deepStrictEqual(edited, error);
+
+  const command = createCommandMessage(channel, moderator, '!broken');
+  await runCommand(createPrefixContext(command, failing, { values: {} }), failing, {});
+  assert.deepStrictEqual(command.replies[0], { content: error.content });
+});